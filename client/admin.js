@@ -0,0 +1,294 @@
+// ============================================================================
+// Admin Dashboard
+// Lists live rooms and their users through the server's admin API (/api/admin, see server/admin.js)
+// ============================================================================
+
+const REFRESH_INTERVAL_MS = 5000;
+
+// The token stays in this tab only; the server URL is remembered
+const STORAGE_KEYS = {
+    serverUrl: 'realtime-app.admin.serverUrl',
+    token: 'realtime-app.admin.token'
+};
+
+let serverUrl = '';
+let adminToken = '';
+let selectedRoomId = null;
+let refreshTimer = null;
+
+// DOM elements
+const serverUrlInput = document.getElementById('serverUrl');
+const adminTokenInput = document.getElementById('adminToken');
+const connectBtn = document.getElementById('connectBtn');
+const statusDiv = document.getElementById('status');
+const announcementSection = document.getElementById('announcementSection');
+const announcementInput = document.getElementById('announcementInput');
+const announcementTarget = document.getElementById('announcementTarget');
+const announceBtn = document.getElementById('announceBtn');
+const roomsSection = document.getElementById('roomsSection');
+const roomCountSpan = document.getElementById('roomCount');
+const roomsTable = document.getElementById('roomsTable');
+const roomSection = document.getElementById('roomSection');
+const roomTitle = document.getElementById('roomTitle');
+const usersTable = document.getElementById('usersTable');
+const roomExtra = document.getElementById('roomExtra');
+
+// ============================================================================
+// API
+// ============================================================================
+
+// Call an admin route; resolves with the parsed body (null for 204), rejects with the server's error message
+async function apiRequest(method, path, body) {
+    const response = await fetch(`${serverUrl}/api/admin${path}`, {
+        method,
+        headers: {
+            Authorization: `Bearer ${adminToken}`,
+            ...(body ? { 'Content-Type': 'application/json' } : {})
+        },
+        body: body ? JSON.stringify(body) : undefined
+    });
+
+    if (response.status === 204) {
+        return null;
+    }
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new Error(data.error || `HTTP ${response.status}`);
+    }
+    return data;
+}
+
+// ============================================================================
+// Rooms
+// ============================================================================
+
+async function refresh() {
+    try {
+        const { rooms } = await apiRequest('GET', '/rooms');
+        renderRooms(rooms);
+        updateAnnouncementTargets(rooms);
+
+        if (selectedRoomId && !rooms.some(room => room.roomId === selectedRoomId)) {
+            selectedRoomId = null;
+        }
+        if (selectedRoomId) {
+            renderRoom(await apiRequest('GET', `/rooms/${encodeURIComponent(selectedRoomId)}`));
+        } else {
+            roomSection.style.display = 'none';
+        }
+    } catch (error) {
+        console.error('Admin API error:', error);
+        updateStatus(`Could not load rooms: ${error.message}`, 'error');
+    }
+}
+
+function renderRooms(rooms) {
+    roomsTable.innerHTML = '';
+    roomCountSpan.textContent = `(${rooms.length})`;
+
+    if (rooms.length === 0) {
+        const row = roomsTable.insertRow();
+        const cell = row.insertCell();
+        cell.colSpan = 6;
+        cell.className = 'muted';
+        cell.textContent = 'No active rooms';
+        return;
+    }
+
+    rooms.forEach(room => {
+        const row = roomsTable.insertRow();
+        row.classList.toggle('selected', room.roomId === selectedRoomId);
+        row.insertCell().textContent = room.roomId;
+        row.insertCell().textContent = room.userCount;
+        row.insertCell().textContent = formatDuration(room.uptime);
+        row.insertCell().textContent = room.mode;
+        row.insertCell().textContent = [room.locked && 'locked', room.hasPassword && 'password']
+            .filter(Boolean).join(', ') || 'open';
+
+        const actions = row.insertCell();
+        const viewBtn = document.createElement('button');
+        viewBtn.className = 'secondary';
+        viewBtn.textContent = 'Users';
+        viewBtn.addEventListener('click', () => {
+            selectedRoomId = room.roomId;
+            refresh();
+        });
+        const closeBtn = document.createElement('button');
+        closeBtn.className = 'danger';
+        closeBtn.textContent = 'Close';
+        closeBtn.addEventListener('click', () => closeRoom(room.roomId));
+        actions.append(viewBtn, closeBtn);
+    });
+}
+
+function renderRoom(room) {
+    roomSection.style.display = 'block';
+    roomTitle.textContent = `Room "${room.roomId}" - ${room.users.length} user${room.users.length === 1 ? '' : 's'}`;
+    usersTable.innerHTML = '';
+
+    room.users.forEach(user => {
+        const row = usersTable.insertRow();
+
+        const nameCell = row.insertCell();
+        const dot = document.createElement('span');
+        dot.className = 'color-dot';
+        dot.style.background = user.color;
+        nameCell.append(dot, user.name);
+        if (user.userId === room.ownerId) {
+            const owner = document.createElement('span');
+            owner.className = 'muted';
+            owner.textContent = ' (owner)';
+            nameCell.appendChild(owner);
+        }
+
+        const socketCell = row.insertCell();
+        socketCell.className = 'mono';
+        socketCell.textContent = user.socketId;
+
+        row.insertCell().textContent = formatDuration(Math.floor((Date.now() - user.joinedAt) / 1000));
+        row.insertCell().textContent = [
+            user.media.audio ? 'mic' : 'muted',
+            user.media.video ? 'camera' : 'no camera',
+            user.screenSharing && 'screen',
+            user.recording && user.recording !== 'stopped' && user.recording
+        ].filter(Boolean).join(', ');
+        row.insertCell().textContent = describeLocation(user.location);
+
+        const kickBtn = document.createElement('button');
+        kickBtn.className = 'danger';
+        kickBtn.textContent = 'Kick';
+        kickBtn.addEventListener('click', () => kickSocket(user.socketId, user.name));
+        row.insertCell().appendChild(kickBtn);
+    });
+
+    const extras = [];
+    if (room.knocks.length > 0) {
+        extras.push(`Waiting to be let in: ${room.knocks.map(({ name }) => name).join(', ')}`);
+    }
+    extras.push(`${room.geofenceCount} geofence${room.geofenceCount === 1 ? '' : 's'}`);
+    roomExtra.textContent = extras.join(' - ');
+}
+
+function describeLocation(location) {
+    if (!location) return '-';
+
+    const parts = [`${location.lat.toFixed(5)}, ${location.lng.toFixed(5)}`];
+    if (location.accuracy) {
+        parts.push(`±${Math.round(location.accuracy)} m`);
+    }
+    if (location.approximate) {
+        parts.push('approximate');
+    }
+    parts.push(`${formatDuration(Math.floor((Date.now() - location.timestamp) / 1000))} ago`);
+    return parts.join(', ');
+}
+
+// 3725 -> "1h 2m"
+function formatDuration(seconds) {
+    if (seconds < 60) return `${Math.max(0, seconds)}s`;
+    const minutes = Math.floor(seconds / 60);
+    if (minutes < 60) return `${minutes}m`;
+    return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
+
+// ============================================================================
+// Actions
+// ============================================================================
+
+async function closeRoom(roomId) {
+    if (!window.confirm(`Close room "${roomId}" for everyone in it?`)) return;
+
+    try {
+        await apiRequest('DELETE', `/rooms/${encodeURIComponent(roomId)}`);
+        updateStatus(`Room "${roomId}" closed`, 'success');
+    } catch (error) {
+        updateStatus(`Could not close room: ${error.message}`, 'error');
+    }
+    refresh();
+}
+
+async function kickSocket(socketId, name) {
+    if (!window.confirm(`Remove ${name} from the room and disconnect them?`)) return;
+
+    try {
+        await apiRequest('DELETE', `/sockets/${encodeURIComponent(socketId)}`);
+        updateStatus(`${name} was disconnected`, 'success');
+    } catch (error) {
+        updateStatus(`Could not kick ${name}: ${error.message}`, 'error');
+    }
+    refresh();
+}
+
+async function sendAnnouncement() {
+    const message = announcementInput.value.trim();
+    if (!message) return;
+
+    const roomId = announcementTarget.value || undefined;
+    try {
+        await apiRequest('POST', '/announcements', { message, roomId });
+        announcementInput.value = '';
+        updateStatus(`Announcement sent to ${roomId ? `room "${roomId}"` : 'all rooms'}`, 'success');
+    } catch (error) {
+        updateStatus(`Could not send announcement: ${error.message}`, 'error');
+    }
+}
+
+// Keep the room picker in sync with the live rooms, without losing the selection
+function updateAnnouncementTargets(rooms) {
+    const selected = announcementTarget.value;
+    announcementTarget.innerHTML = '';
+    announcementTarget.add(new Option('All rooms', ''));
+    rooms.forEach(({ roomId }) => announcementTarget.add(new Option(`Room: ${roomId}`, roomId)));
+    announcementTarget.value = rooms.some(({ roomId }) => roomId === selected) ? selected : '';
+}
+
+// ============================================================================
+// Setup
+// ============================================================================
+
+async function connect() {
+    serverUrl = serverUrlInput.value.trim().replace(/\/$/, '');
+    adminToken = adminTokenInput.value;
+    if (!serverUrl || !adminToken) {
+        updateStatus('Enter the server URL and admin token', 'error');
+        return;
+    }
+
+    try {
+        await apiRequest('GET', '/rooms');
+    } catch (error) {
+        updateStatus(`Could not connect: ${error.message}`, 'error');
+        return;
+    }
+
+    localStorage.setItem(STORAGE_KEYS.serverUrl, serverUrl);
+    sessionStorage.setItem(STORAGE_KEYS.token, adminToken);
+    updateStatus(`Connected to ${serverUrl}`, 'success');
+    announcementSection.style.display = 'block';
+    roomsSection.style.display = 'block';
+
+    clearInterval(refreshTimer);
+    refreshTimer = setInterval(refresh, REFRESH_INTERVAL_MS);
+    refresh();
+}
+
+function updateStatus(message, type = '') {
+    statusDiv.textContent = message;
+    statusDiv.className = `status ${type}`;
+}
+
+connectBtn.addEventListener('click', connect);
+adminTokenInput.addEventListener('keypress', (e) => {
+    if (e.key === 'Enter') connect();
+});
+announceBtn.addEventListener('click', sendAnnouncement);
+announcementInput.addEventListener('keypress', (e) => {
+    if (e.key === 'Enter') sendAnnouncement();
+});
+
+// Served by the server itself, the API is on the same origin
+serverUrlInput.value = localStorage.getItem(STORAGE_KEYS.serverUrl) || window.location.origin;
+adminTokenInput.value = sessionStorage.getItem(STORAGE_KEYS.token) || '';
+if (adminTokenInput.value) {
+    connect();
+}
@@ -1,6 +1,6 @@
 // ============================================================================
 // Real-time Communication Client
-// Handles WebRTC peer connections, Socket.IO signaling, and Google Maps
+// Handles WebRTC peer connections, Socket.IO signaling, and the map
 // ============================================================================
 
 // Configuration
@@ -9,80 +9,185 @@ let SERVER_URL = '';
 
 let ROOM_ID = null; // Will be set when user joins a room
 
-// ICE servers for WebRTC - using multiple STUN servers for better connectivity
-// TURN servers are needed for users behind strict NATs/firewalls
-// Free TURN options: Metered.ca (free tier), Twilio (free trial)
-// See TURN_SERVER_SETUP.md for detailed instructions
-const ICE_SERVERS = [
-    // STUN servers (for NAT discovery)
+// Map provider (see map-providers.js):
+//   'leaflet' - OpenStreetMap tiles, no API key needed
+//   'google'  - Google Maps, set googleApiKey
+// For offline/local use, point tileUrl at your own tile server and leafletUrl at
+// '/vendor/leaflet' (served by server.js from its node_modules)
+const MAP_CONFIG = {
+    provider: 'leaflet',
+    googleApiKey: '',
+    tileUrl: 'https://tile.openstreetmap.org/{z}/{x}/{y}.png',
+    tileAttribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
+    maxZoom: 19,
+    leafletUrl: 'https://unpkg.com/leaflet@1.9.4/dist'
+};
+
+// ICE servers for WebRTC are handed out by the server to room members (GET /api/rooms/:roomId/ice-servers)
+// so TURN credentials are short-lived and never baked into the page.
+// The server is configured with environment variables - see TURN_SERVER_SETUP.md
+// Fallback STUN servers, used only if the server cannot be reached
+const FALLBACK_ICE_SERVERS = [
     { urls: 'stun:stun.l.google.com:19302' },
-    { urls: 'stun:stun1.l.google.com:19302' },
-    { urls: 'stun:stun2.l.google.com:19302' },
-    { urls: 'stun:stun3.l.google.com:19302' },
-    { urls: 'stun:stun4.l.google.com:19302' },
-    {
-        urls: "stun:stun.relay.metered.ca:80",
-      },
-      {
-        urls: "turn:standard.relay.metered.ca:80",
-        username: "246228c56f52b9398c70d387",
-        credential: "QMjln1jVfjwMg/bC",
-      },
-      {
-        urls: "turn:standard.relay.metered.ca:80?transport=tcp",
-        username: "246228c56f52b9398c70d387",
-        credential: "QMjln1jVfjwMg/bC",
-      },
-      {
-        urls: "turn:standard.relay.metered.ca:443",
-        username: "246228c56f52b9398c70d387",
-        credential: "QMjln1jVfjwMg/bC",
-      },
-      {
-        urls: "turns:standard.relay.metered.ca:443?transport=tcp",
-        username: "246228c56f52b9398c70d387",
-        credential: "QMjln1jVfjwMg/bC",
-      },
-    
-    // Add TURN servers here (uncomment and fill in your credentials):
-    // Example with Metered.ca free TURN:
-    // {
-    //     urls: 'turn:a.relay.metered.ca:80',
-    //     username: 'your-username',
-    //     credential: 'your-credential'
-    // },
-    // {
-    //     urls: 'turn:a.relay.metered.ca:80?transport=tcp',
-    //     username: 'your-username',
-    //     credential: 'your-credential'
-    // },
-    // {
-    //     urls: 'turn:a.relay.metered.ca:443',
-    //     username: 'your-username',
-    //     credential: 'your-credential'
-    // },
-    // {
-    //     urls: 'turn:a.relay.metered.ca:443?transport=tcp',
-    //     username: 'your-username',
-    //     credential: 'your-credential'
-    // }
+    { urls: 'stun:stun1.l.google.com:19302' }
 ];
 
+// Refresh credentials this many seconds before the server says they expire
+const ICE_REFRESH_MARGIN = 60;
+
 // Global state
 let socket = null;
 let localStream = null;
+let previewStream = null; // Camera/microphone preview before the call - becomes localStream on "Start Call"
 let peerConnections = new Map(); // Map<userId, RTCPeerConnection>
+let negotiationStates = new Map(); // Map<userId, {polite, makingOffer, ignoreOffer, isSettingRemoteAnswerPending, pendingCandidates}>
+let signalQueues = new Map(); // Map<userId, Promise> - signals from one peer are handled strictly in order
 let remoteVideos = new Map(); // Map<userId, {videoElement, wrapperElement}>
-let map = null;
-let userMarkers = new Map(); // Map<userId, google.maps.Marker>
+let map = null; // Map adapter from createMapAdapter()
+let userMarkers = new Map(); // Map<userId | 'self', marker>
+let userLocations = new Map(); // Map<userId | 'self', {lat, lng, accuracy, heading, speed, altitude, timestamp}>
+let accuracyCircles = new Map(); // Map<userId | 'self', circle>
+let locationSharing = null; // 'precise' | 'approximate' | 'off' in the current room - null until the user has chosen
+let lastOwnLocation = null; // Latest position from watchPosition, sent as soon as sharing is turned on
+let geofences = new Map(); // Map<geofenceId, {geofence, overlay: circle | polygon}>
+let geofenceDrawing = null; // {shape, points, preview} while the user is drawing a zone on the map
+let userTrails = new Map(); // Map<userId | 'self', {line, points}> - where each user has been
 let watchPositionId = null;
 let currentRoomUsers = new Set(); // Track users in current room
 let isInRoom = false;
+let iceServersCache = null; // { iceServers, expiresAt }
+let roomOwnerId = null; // User id of the room owner (can lock, kick, approve knocks)
+let roomLocked = false;
+let inviteToken = null; // Signed invite from an invite link (?room=...&invite=...)
+let pendingKnocks = new Set(); // Users waiting for our approval (when we own the room)
+let myUserId = null; // Stable user id issued by the server (socket ids change on every reconnect)
+let resumeToken = null; // From room-state - lets us pick our membership back up after a dropped connection
+let userProfiles = new Map(); // Map<userId, {name, color}>
+let chatOpen = true;
+let screenTrack = null; // Outgoing screen share video track (replaces the camera track while sharing)
+let screenSharingUsers = new Set(); // Remote users currently sharing their screen
+let remoteMediaStates = new Map(); // Map<userId, {audio, video}> - false means muted / camera off
+let audioContext = null; // Shared Web Audio context for voice activity detection
+let voiceMonitors = new Map(); // Map<userId | 'local', {source, analyser, trackId, level, lastSpokeAt}>
+let voiceActivityTimer = null;
+let activeSpeakerId = null; // Remote user currently talking the loudest
+let pinnedUserId = null; // Remote user pinned to the main tile by clicking it
+let layoutMode = 'gallery'; // 'gallery' (equal grid) or 'speaker' (one large tile + thumbnails)
+let peerStats = new Map(); // Map<userId, {previous: raw sample, current: computed stats, quality}>
+let statsTimer = null;
+let statsVisible = false; // Stats overlays on remote tiles
+let lastStatsReportAt = 0;
+let qualityPreset = localStorage.getItem('realtime-app.quality') || 'auto'; // 'auto' | 'high' | 'medium' | 'low'
+let appliedEncodings = new Map(); // Map<userId, {maxBitrate, scaleResolutionDownBy, maxFramerate}> last sent to each sender
+let roomMode = 'mesh'; // 'mesh' (a peer connection per user) or 'sfu' (media through the server) - decided by the server
+let sfuSessionPromise = null; // Resolves once the mediasoup device and receive transport are ready
+let sfuPublishPromise = null; // Resolves once our tracks are being sent to the SFU
+let sfuDevice = null; // mediasoup-client Device
+let sfuSendTransport = null;
+let sfuRecvTransport = null;
+let sfuProducers = new Map(); // Map<kind, Producer> - our outgoing tracks
+let sfuConsumers = new Map(); // Map<consumerId, {consumer, userId}> - incoming tracks
+let sfuConsumedProducers = new Set(); // Producer ids consumed (or being consumed), so none is consumed twice
+
+// Voice activity tuning
+const SPEAKING_LEVEL_THRESHOLD = 0.02; // RMS level counted as speech
+const SPEAKING_HOLD_MS = 600; // Keep "speaking" this long after the level drops, to avoid flicker
+const VOICE_ACTIVITY_INTERVAL_MS = 100;
+
+// Connection stats
+const STATS_INTERVAL_MS = 2000;
+const STATS_REPORT_INTERVAL_MS = 30000; // How often aggregated stats are sent to the server for logging
+
+// Outgoing video encoding per quality preset (applied to every peer's video sender)
+// In a mesh every peer costs a full upload, so 'auto' steps down as the room grows
+const QUALITY_PRESETS = {
+    high: { maxBitrate: 1500000, scaleResolutionDownBy: 1, maxFramerate: 30 },
+    medium: { maxBitrate: 600000, scaleResolutionDownBy: 2, maxFramerate: 24 },
+    low: { maxBitrate: 200000, scaleResolutionDownBy: 4, maxFramerate: 15 }
+};
+const MIN_VIDEO_BITRATE = 100000;
+const BANDWIDTH_HEADROOM = 0.8; // Use at most this share of the measured available bandwidth
+
+// SFU mode (loaded only when a room switches to it)
+// mediasoup-client stays on an exact version that works with the server's mediasoup. To serve it yourself
+// instead of from esm.sh, build it into client/vendor (see README) and point this at '/vendor/mediasoup-client.js'
+const MEDIASOUP_CLIENT_URL = 'https://esm.sh/mediasoup-client@3.7.17';
+const SFU_REQUEST_TIMEOUT_MS = 10000;
+// Simulcast layers sent to the SFU - it forwards to each receiver the best layer their connection can take
+const SIMULCAST_ENCODINGS = [
+    { scaleResolutionDownBy: 4, maxBitrate: 150000 },
+    { scaleResolutionDownBy: 2, maxBitrate: 500000 },
+    { scaleResolutionDownBy: 1, maxBitrate: 1500000 }
+];
+const PRESET_SPATIAL_LAYERS = { auto: 2, high: 2, medium: 1, low: 0 };
+
+const REPLAY_TICK_MS = 100; // Replay frame interval (the speed picker sets how much room time passes per frame)
+
+const TRAIL_POINT_LIMIT = 500; // Same as the server's default LOCATION_HISTORY_LIMIT
+
+// Map markers
+const STALE_LOCATION_MS = 2 * 60 * 1000; // Markers fade and turn grey when the last update is older
+const STALENESS_CHECK_INTERVAL_MS = 15000;
+const STALE_MARKER_COLOR = '#9e9e9e';
+const MOVING_SPEED = 0.5; // m/s - below this the heading is noise, so no arrow
+
+// Approximate location sharing snaps positions to a grid of this many degrees (~1 km)
+const APPROXIMATE_GRID_DEGREES = 0.01;
+const APPROXIMATE_ACCURACY_M = 1000;
+
+const GEOFENCE_COLOR = '#ff9800';
+const EARTH_RADIUS_M = 6371000;
+const TOAST_DURATION_MS = 5000;
+let unreadCount = 0;
+
+// Call recording: every tile drawn onto one canvas, all audio mixed, saved as WebM in the browser
+const RECORDING_WIDTH = 1280;
+const RECORDING_HEIGHT = 720;
+const RECORDING_FPS = 30;
+const RECORDING_MIME_TYPES = ['video/webm;codecs=vp9,opus', 'video/webm;codecs=vp8,opus', 'video/webm'];
+
+// File transfer over data channels (files never pass through the server)
+const FILE_CHUNK_SIZE = 16 * 1024; // Largest message size every browser accepts
+const FILE_BUFFER_HIGH = 1024 * 1024; // Stop sending while this much is queued on the channel...
+const FILE_BUFFER_LOW = 256 * 1024; // ...and carry on once it drains below this
+const MAX_FILE_SIZE = 512 * 1024 * 1024; // Both sides hold the whole file in memory to hash it
+let replay = null; // {start, end, time, series, profiles, markers, trails, timer} while replaying the room's movements
+let recorder = null; // {mediaRecorder, canvas, context, audioDestination, audioSources, drawTimer} while recording the call
+let recordingUsers = new Map(); // Map<userId, 'recording' | 'paused'> - others recording the call
+let recordingUrl = null; // Object URL of our last finished recording
+let outgoingTransfers = new Map(); // Map<transferId, transfer> - one per file and recipient
+let incomingTransfers = new Map(); // Map<`${userId}:${transferId}`, transfer>
+
+// localStorage keys for identity and profile
+const STORAGE_KEYS = {
+    identity: 'realtime-app.identity',
+    name: 'realtime-app.name',
+    color: 'realtime-app.color',
+    locationConsent: 'realtime-app.location-consent', // { roomId: 'precise' | 'approximate' | 'off' }
+    devices: 'realtime-app.devices', // { videoinput, audioinput, audiooutput } chosen device ids
+    joinMode: 'realtime-app.join-mode'
+};
+
+// How we take part in calls - chosen before joining a room
+//   'video'    - camera and microphone
+//   'audio'    - microphone only, for weak connections or no camera
+//   'observer' - send nothing, just watch, listen and follow the map
+const JOIN_MODES = ['video', 'audio', 'observer'];
+let joinMode = JOIN_MODES.includes(localStorage.getItem(STORAGE_KEYS.joinMode))
+    ? localStorage.getItem(STORAGE_KEYS.joinMode)
+    : 'video';
 
 // DOM elements
 const localVideo = document.getElementById('localVideo');
 const remoteVideosContainer = document.getElementById('remoteVideosContainer');
 const startCallBtn = document.getElementById('startCallBtn');
+const shareScreenBtn = document.getElementById('shareScreenBtn');
+const toggleMicBtn = document.getElementById('toggleMicBtn');
+const toggleCameraBtn = document.getElementById('toggleCameraBtn');
+const layoutToggleBtn = document.getElementById('layoutToggleBtn');
+const localVideoContainer = document.getElementById('localVideoContainer');
+const toggleStatsBtn = document.getElementById('toggleStatsBtn');
+const qualitySelect = document.getElementById('qualitySelect');
 const statusDiv = document.getElementById('status');
 const serverUrlInput = document.getElementById('serverUrlInput');
 const connectServerBtn = document.getElementById('connectServerBtn');
@@ -91,6 +196,55 @@ const joinRoomBtn = document.getElementById('joinRoomBtn');
 const currentRoomDiv = document.getElementById('currentRoom');
 const usersListDiv = document.getElementById('usersList');
 const usersListItems = document.getElementById('usersListItems');
+const roomPasswordInput = document.getElementById('roomPasswordInput');
+const ownerControlsDiv = document.getElementById('ownerControls');
+const lockRoomBtn = document.getElementById('lockRoomBtn');
+const inviteBtn = document.getElementById('inviteBtn');
+const knockRequestsDiv = document.getElementById('knockRequests');
+const knockRequestsItems = document.getElementById('knockRequestsItems');
+const displayNameInput = document.getElementById('displayNameInput');
+const colorInput = document.getElementById('colorInput');
+const chatMessagesList = document.getElementById('chatMessages');
+const chatInput = document.getElementById('chatInput');
+const chatSendBtn = document.getElementById('chatSendBtn');
+const chatToggleBtn = document.getElementById('chatToggleBtn');
+const chatBody = document.getElementById('chatBody');
+const chatUnreadBadge = document.getElementById('chatUnreadBadge');
+const trackUserSelect = document.getElementById('trackUserSelect');
+const exportGpxBtn = document.getElementById('exportGpxBtn');
+const exportGeoJsonBtn = document.getElementById('exportGeoJsonBtn');
+const locationSharingSelect = document.getElementById('locationSharingSelect');
+const locationConsentDiv = document.getElementById('locationConsent');
+const locationConsentText = document.getElementById('locationConsentText');
+const geofenceShapeSelect = document.getElementById('geofenceShapeSelect');
+const drawGeofenceBtn = document.getElementById('drawGeofenceBtn');
+const finishGeofenceBtn = document.getElementById('finishGeofenceBtn');
+const replayBtn = document.getElementById('replayBtn');
+const replayPanel = document.getElementById('replayPanel');
+const replayPlayBtn = document.getElementById('replayPlayBtn');
+const replaySlider = document.getElementById('replaySlider');
+const replayTimeLabel = document.getElementById('replayTime');
+const replaySpeedSelect = document.getElementById('replaySpeedSelect');
+const exitReplayBtn = document.getElementById('exitReplayBtn');
+const geofenceListDiv = document.getElementById('geofenceList');
+const geofenceListItems = document.getElementById('geofenceListItems');
+const toastContainer = document.getElementById('toastContainer');
+const joinModeSelect = document.getElementById('joinModeSelect');
+const deviceControlsDiv = document.getElementById('deviceControls');
+const cameraSelect = document.getElementById('cameraSelect');
+const microphoneSelect = document.getElementById('microphoneSelect');
+const speakerSelect = document.getElementById('speakerSelect');
+const previewBtn = document.getElementById('previewBtn');
+const micLevelBar = document.getElementById('micLevelBar');
+const recordBtn = document.getElementById('recordBtn');
+const pauseRecordingBtn = document.getElementById('pauseRecordingBtn');
+const recordingDownloadLink = document.getElementById('recordingDownloadLink');
+const recordingIndicator = document.getElementById('recordingIndicator');
+const fileTargetSelect = document.getElementById('fileTargetSelect');
+const fileDropZone = document.getElementById('fileDropZone');
+const fileInput = document.getElementById('fileInput');
+const chooseFileBtn = document.getElementById('chooseFileBtn');
+const fileTransferList = document.getElementById('fileTransferList');
 
 // ============================================================================
 // Socket.IO Connection & Event Handlers
@@ -108,197 +262,479 @@ function initializeSocket() {
     socket.on('connect', () => {
         updateStatus('Connected to server', 'success');
         console.log('Socket.IO connected:', socket.id);
-        // Don't auto-join room - wait for user to specify room name
+        // Back after a dropped connection: pick up where we left off
+        // Otherwise don't auto-join a room - wait for user to specify room name
+        if (isInRoom && ROOM_ID) {
+            resumeSession();
+        }
     });
 
-    socket.on('disconnect', () => {
-        updateStatus('Disconnected from server', 'error');
-        console.log('Socket.IO disconnected');
+    // Calls and the map keep running - the server holds our place in the room for a while
+    socket.on('disconnect', (reason) => {
+        updateStatus(isInRoom ? 'Connection to server lost, reconnecting...' : 'Disconnected from server', 'error');
+        console.log('Socket.IO disconnected:', reason);
     });
 
     // Receive room state when joining (existing users and their locations)
     socket.on('room-state', async (data) => {
         console.log('Room state received:', data);
-        const { users, locations } = data;
+        const { self, users, locations, ownerId, locked, mode } = data;
+
+        // Remember who we are so a refresh or reconnect keeps the same identity
+        myUserId = self.userId;
+        resumeToken = data.resumeToken;
+        userProfiles.set(self.userId, { name: self.name, color: self.color });
+        localStorage.setItem(STORAGE_KEYS.identity, self.identity);
+
+        // Joined successfully - an invite is single-use from the client's point of view
+        inviteToken = null;
+        roomOwnerId = ownerId;
+        roomLocked = locked;
+        updateStatus(`Joined room: ${ROOM_ID}`, 'success');
+        updateRoomControls();
 
         // Update users list
         currentRoomUsers.clear();
-        users.forEach(userId => currentRoomUsers.add(userId));
-        currentRoomUsers.add(socket.id); // Add self
+        screenSharingUsers.clear();
+        remoteMediaStates.clear();
+        recordingUsers.clear();
+        users.forEach(({ userId, name, color, screenSharing, media, recording }) => {
+            currentRoomUsers.add(userId);
+            userProfiles.set(userId, { name, color });
+            remoteMediaStates.set(userId, media);
+            if (screenSharing) {
+                screenSharingUsers.add(userId);
+            }
+            setUserRecording(userId, recording);
+        });
+        currentRoomUsers.add(myUserId); // Add self
         updateUsersList();
 
-        // Create peer connections with all existing users (excluding ourselves)
-        if (users.length > 0 && localStream) {
-            for (const userId of users) {
-                // Don't create connection with ourselves
-                if (userId !== socket.id) {
-                    await createPeerConnection(userId);
-                    await createOffer(userId);
-                }
-            }
+        // Add markers for existing users' locations, and the trails that led there
+        locations.forEach(({ userId, ...location }) => {
+            addOrUpdateUserMarker(userId, location);
+        });
+        data.tracks.forEach(({ userId, points }) => {
+            setTrail(userId === myUserId ? 'self' : userId, points);
+        });
+        clearGeofences();
+        data.geofences.forEach(geofence => addGeofence(geofence));
+
+        // Location is only shared once the user agreed to it for this room
+        const consent = getLocationConsent(ROOM_ID);
+        if (consent) {
+            setLocationSharing(consent);
+        } else {
+            locationSharing = null;
+            locationConsentText.textContent = `Share your location with everyone in room "${ROOM_ID}"?`;
+            locationConsentDiv.style.display = 'flex';
         }
 
-        // Add markers for existing users' locations
-        locations.forEach(({ userId, lat, lng }) => {
-            addOrUpdateUserMarker(userId, lat, lng);
-        });
+        // Rejoining (e.g. after a refresh) resets our state on the server - tell peers what we're sending
+        if (localStream) {
+            emitMediaState();
+        }
+        if (screenTrack) {
+            socket.emit('screen-share', { roomId: ROOM_ID, sharing: true });
+        }
+        if (recorder) {
+            emitRecordingState();
+        }
+        updateRecordingIndicator();
+
+        // Replay chat history (replaces what we had, so a rejoin doesn't duplicate messages)
+        clearChat();
+        data.chat.forEach(message => renderChatMessage(message));
+
+        // A rejoin means the server dropped our old SFU transports - start over
+        stopSfuSession();
+        roomMode = mode;
+        if (roomMode === 'sfu') {
+            startSfuSession();
+            return;
+        }
+
+        // Connect to everyone already in the room. Negotiation starts on its own
+        // (onnegotiationneeded) on whichever side has tracks to send
+        for (const { userId } of users) {
+            if (userId !== myUserId) {
+                await createPeerConnection(userId);
+            }
+        }
     });
 
     // Handle new user joining
-    socket.on('user-joined', async ({ userId }) => {
-        console.log('User joined:', userId);
-        updateStatus(`User ${userId.substring(0, 8)} joined the room`, 'success');
+    socket.on('user-joined', async ({ userId, name, color, media }) => {
+        console.log('User joined:', userId, name);
+        userProfiles.set(userId, { name, color });
+        remoteMediaStates.set(userId, media);
+
+        // Same user on a new connection (e.g. page refresh) - their old peer connection is dead,
+        // but their marker stays where it is
+        if (currentRoomUsers.has(userId)) {
+            console.log('User reconnected:', userId);
+            updateStatus(`${name} reconnected`, 'success');
+            closePeerConnection(userId);
+        } else {
+            updateStatus(`${name} joined the room`, 'success');
+        }
 
         // Add to users list
         currentRoomUsers.add(userId);
         updateUsersList();
 
         // Create peer connection with the new user (if not ourselves)
-        // Only if we already have local stream (camera started)
-        // If we don't have local stream yet, we'll create connection when we start camera
-        if (localStream && userId !== socket.id) {
+        // If we haven't started our camera yet, tracks are added (and renegotiated) when we do
+        // In SFU mode their media arrives as sfu-new-producer instead
+        if (userId !== myUserId && roomMode === 'mesh') {
             await createPeerConnection(userId);
-            await createOffer(userId);
         }
+
+        // One more upload to share the bandwidth with
+        applyEncodingsToAllPeers();
     });
 
     // Handle user leaving
     socket.on('user-left', ({ userId }) => {
         console.log('User left:', userId);
-        updateStatus(`User ${userId.substring(0, 8)} left the room`, 'error');
-
-        // Remove from users list
-        currentRoomUsers.delete(userId);
+        updateStatus(`${getUserName(userId)} left the room`, 'error');
+        removeRoomUser(userId);
         updateUsersList();
+        applyEncodingsToAllPeers();
+    });
 
-        // Remove marker for this user
-        removeUserMarker(userId);
+    // A user's connection to the server dropped - their calls may well survive, so keep them
+    socket.on('user-reconnecting', ({ userId }) => {
+        console.log('User reconnecting:', userId);
+        updateStatus(`${getUserName(userId)} lost their connection, waiting for them to come back...`, 'error');
+    });
 
-        // Close and remove peer connection
+    // ...and they are back. Whatever they sent us meanwhile was lost, so fix the call if it broke
+    socket.on('user-resumed', ({ userId }) => {
+        console.log('User resumed:', userId);
+        updateStatus(`${getUserName(userId)} is back`, 'success');
         const peerConnection = peerConnections.get(userId);
         if (peerConnection) {
-            peerConnection.close();
-            peerConnections.delete(userId);
+            recoverPeerConnection(peerConnection);
         }
-
-        // Remove video element
-        removeRemoteVideo(userId);
     });
 
-    // Handle WebRTC signaling messages
-    socket.on('webrtc-signal', async (data) => {
-        const { from, signal } = data;
-        console.log('Received WebRTC signal from', from, signal.type, 'Current state:', peerConnections.get(from)?.signalingState);
+    // We are back in the room after a dropped connection: catch up on what we missed
+    // without touching the calls that survived
+    socket.on('session-resumed', async (data) => {
+        console.log('Session resumed:', data);
+        const { users, locations, tracks, ownerId, locked, mode, producers } = data;
+
+        resumeToken = data.resumeToken;
+        roomOwnerId = ownerId;
+        roomLocked = locked;
+        updateStatus(`Reconnected to room: ${ROOM_ID}`, 'success');
+        updateRoomControls();
+
+        // Who left and who joined while we were away
+        const presentUsers = new Set(users.map(({ userId }) => userId));
+        Array.from(currentRoomUsers)
+            .filter(userId => userId !== myUserId && !presentUsers.has(userId))
+            .forEach(userId => removeRoomUser(userId));
+        const joinedUsers = users.filter(({ userId }) => !currentRoomUsers.has(userId)).map(({ userId }) => userId);
+
+        screenSharingUsers.clear();
+        recordingUsers.clear();
+        users.forEach(({ userId, name, color, screenSharing, media, recording }) => {
+            currentRoomUsers.add(userId);
+            userProfiles.set(userId, { name, color });
+            remoteMediaStates.set(userId, media);
+            if (screenSharing) {
+                screenSharingUsers.add(userId);
+            }
+            setUserRecording(userId, recording);
+            updateRemoteVideoLabel(userId);
+            updateRemoteMediaIndicators(userId);
+        });
+        updateUsersList();
+
+        // Positions, trails, zones and chat are simply replaced
+        const othersLocations = locations.filter(({ userId }) => userId !== myUserId);
+        const locatedUsers = new Set(othersLocations.map(({ userId }) => userId));
+        Array.from(userMarkers.keys())
+            .filter(userId => userId !== 'self' && !locatedUsers.has(userId))
+            .forEach(userId => removeUserMarker(userId));
+        othersLocations.forEach(({ userId, ...location }) => {
+            addOrUpdateUserMarker(userId, location);
+        });
+        tracks.forEach(({ userId, points }) => {
+            setTrail(userId === myUserId ? 'self' : userId, points);
+        });
+        clearGeofences();
+        data.geofences.forEach(geofence => addGeofence(geofence));
+        clearChat();
+        data.chat.forEach(message => renderChatMessage(message));
 
-        // Get or create peer connection for this specific user
-        let peerConnection = peerConnections.get(from);
-        if (!peerConnection && localStream) {
-            await createPeerConnection(from);
-            peerConnection = peerConnections.get(from);
+        // Changes we made while offline never reached the room
+        emitMediaState();
+        if (screenTrack) {
+            socket.emit('screen-share', { roomId: ROOM_ID, sharing: true });
+        }
+        if (recorder) {
+            emitRecordingState();
+        }
+        updateRecordingIndicator();
+        if (lastOwnLocation) {
+            shareLocation(lastOwnLocation);
         }
 
-        if (!peerConnection) {
-            console.warn('No peer connection available for', from);
+        if (mode === 'sfu') {
+            // Start over only if the room switched meanwhile or our media transports broke
+            const transportFailed = [sfuSendTransport, sfuRecvTransport]
+                .some(transport => transport && transport.connectionState === 'failed');
+            if (roomMode !== 'sfu' || !sfuSessionPromise || transportFailed) {
+                stopSfuSession();
+                roomMode = 'sfu';
+                startSfuSession();
+                return;
+            }
+            // Tracks that started while we were away
+            try {
+                await sfuSessionPromise;
+                producers.forEach(producer => consumeSfuProducer(producer));
+            } catch (error) {
+                // Already reported by startSfuSession
+            }
             return;
         }
 
+        // Restart only the peer connections that broke, and connect to newcomers
+        peerConnections.forEach(peerConnection => recoverPeerConnection(peerConnection));
+        for (const userId of joinedUsers) {
+            await createPeerConnection(userId);
+        }
+        applyEncodingsToAllPeers();
+    });
+
+    // Our place in the room is gone (grace period over) - join again from scratch
+    socket.on('resume-failed', ({ roomId }) => {
+        console.warn('Could not resume session in room', roomId);
+        resumeToken = null;
+        if (isInRoom && ROOM_ID === roomId) {
+            joinRoom(roomId);
+        }
+    });
+
+    // Another tab or window joined with our identity and took over
+    socket.on('session-replaced', ({ roomId }) => {
+        console.warn('Session replaced by a newer connection in room', roomId);
+        resetRoom();
+        updateStatus('You joined this room from another tab or window', 'error');
+    });
+
+    // Room owner or lock state changed
+    socket.on('room-settings', ({ ownerId, locked }) => {
+        if (ownerId !== roomOwnerId && ownerId === myUserId) {
+            updateStatus('You are now the room owner', 'success');
+        }
+        roomOwnerId = ownerId;
+        roomLocked = locked;
+        updateRoomControls();
+        updateUsersList();
+        updateGeofenceList(); // Owners may delete any geofence
+    });
+
+    // Server refused to let us into the room
+    socket.on('join-error', ({ roomId, reason }) => {
+        const messages = {
+            'password-required': 'This room requires a password',
+            'wrong-password': 'Wrong room password',
+            'knock-denied': 'The room owner declined your request to join',
+            'room-closed': 'The room was closed before you were let in',
+            'banned': 'You were removed from this room and cannot rejoin'
+        };
+        console.warn('Could not join room', roomId, reason);
+        resetRoom();
+        updateStatus(messages[reason] || `Could not join room: ${reason}`, 'error');
+    });
+
+    // Room is locked - waiting for the owner to approve us
+    socket.on('knock-pending', ({ roomId }) => {
+        updateStatus(`Room ${roomId} is locked. Waiting for the owner to let you in...`, 'success');
+    });
+
+    // Someone is asking to join our (locked) room
+    socket.on('knock-request', ({ userId, name, color }) => {
+        userProfiles.set(userId, { name, color });
+        pendingKnocks.add(userId);
+        updateKnockRequests();
+        updateStatus(`${name} is asking to join`, 'success');
+    });
+
+    socket.on('knock-cancelled', ({ userId }) => {
+        pendingKnocks.delete(userId);
+        updateKnockRequests();
+    });
+
+    // We were removed by the room owner
+    socket.on('kicked', ({ roomId }) => {
+        console.warn('Kicked from room', roomId);
+        resetRoom();
+        updateStatus(`You were removed from room ${roomId}`, 'error');
+    });
+
+    // An admin closed the room
+    socket.on('room-closed', ({ roomId }) => {
+        console.warn('Room closed by the server', roomId);
+        resetRoom();
+        updateStatus(`Room ${roomId} was closed by an administrator`, 'error');
+    });
+
+    // Message from the server's operators (to everyone, or just this room)
+    socket.on('announcement', ({ message }) => {
+        showToast(`Announcement: ${message}`);
+        updateStatus(`Announcement: ${message}`, 'success');
+    });
+
+    // Server rejected one of our events (bad payload, rate limit, not in room)
+    socket.on('event-error', ({ event, code, message }) => {
+        console.warn(`Server rejected ${event}: ${code} - ${message}`);
+        // Location updates and signaling are frequent; only surface errors that need attention
+        if (event === 'join-room' || code === 'rate-limit-abuse') {
+            updateStatus(`Server error: ${message}`, 'error');
+        }
+        if (event === 'join-room') {
+            resetRoom();
+        }
+    });
+
+    socket.on('room-error', ({ reason }) => {
+        updateStatus(`Room action failed: ${reason}`, 'error');
+    });
+
+    // Invite token generated by the server - share it as a link
+    socket.on('invite-created', async ({ roomId, invite, expiresIn }) => {
+        const link = `${window.location.origin}${window.location.pathname}?room=${encodeURIComponent(roomId)}&invite=${encodeURIComponent(invite)}`;
+        const hours = Math.round(expiresIn / 3600);
         try {
-            if (signal.type === 'offer') {
-                const currentState = peerConnection.signalingState;
-                console.log('Processing offer from', from, 'Current signaling state:', currentState);
-                
-                // If we already have a local offer (simultaneous offers), we need to handle it
-                if (currentState === 'have-local-offer') {
-                    console.log('Simultaneous offer detected - rolling back and accepting remote offer');
-                    // Rollback: set local description to null, then set remote offer
-                    await peerConnection.setLocalDescription({ type: 'rollback' });
-                }
-                
-                // Set remote description (offer)
-                await peerConnection.setRemoteDescription(new RTCSessionDescription(signal));
-                console.log('Remote offer set, creating answer...');
-                
-                // Create and set local answer
-                const answer = await peerConnection.createAnswer();
-                await peerConnection.setLocalDescription(answer);
-
-                // Send answer back to the specific user
-                socket.emit('webrtc-signal', {
-                    roomId: ROOM_ID,
-                    from: socket.id,
-                    to: from,
-                    signal: answer
-                });
-                
-                console.log('Answer created and sent to', from);
-            } else if (signal.type === 'answer') {
-                const currentState = peerConnection.signalingState;
-                console.log('Processing answer from', from, 'Current signaling state:', currentState);
-                
-                // Only set answer if we're in the correct state
-                if (currentState === 'have-local-offer') {
-                    await peerConnection.setRemoteDescription(new RTCSessionDescription(signal));
-                    console.log('Answer received and set for', from);
-                } else {
-                    console.warn('Cannot set answer - wrong state:', currentState, 'Expected: have-local-offer');
-                    // If we're not in the right state, we might need to recreate the connection
-                    if (currentState === 'stable') {
-                        console.log('Connection is stable, recreating offer...');
-                        await createOffer(from);
-                    }
-                }
-            } else if (signal.type === 'candidate') {
-                // Add ICE candidate (can be added even before remote description is set)
-                try {
-                    if (peerConnection.remoteDescription) {
-                        await peerConnection.addIceCandidate(new RTCIceCandidate(signal.candidate));
-                        console.log('ICE candidate added for', from);
-                    } else {
-                        // Queue candidate if remote description not ready
-                        console.log('Queueing ICE candidate for', from, '(remote description not ready)');
-                        // Store candidate and add it later when remote description is set
-                        peerConnection.addEventListener('signalingstatechange', async () => {
-                            if (peerConnection.signalingState === 'have-remote-offer' || peerConnection.signalingState === 'stable') {
-                                try {
-                                    await peerConnection.addIceCandidate(new RTCIceCandidate(signal.candidate));
-                                    console.log('Queued ICE candidate added for', from);
-                                } catch (err) {
-                                    console.error('Error adding queued ICE candidate:', err);
-                                }
-                            }
-                        }, { once: true });
-                    }
-                } catch (error) {
-                    console.error('Error adding ICE candidate:', error);
-                }
-            }
+            await navigator.clipboard.writeText(link);
+            updateStatus(`Invite link copied to clipboard (valid for ${hours}h)`, 'success');
         } catch (error) {
-            console.error('Error handling WebRTC signal:', error);
-            updateStatus('Error handling WebRTC signal: ' + error.message, 'error');
-            
-            // If it's a state error, try to recover by recreating the connection
-            if (error.message.includes('wrong state') || error.message.includes('InvalidStateError')) {
-                console.log('Attempting to recover from state error by recreating connection with', from);
-                try {
-                    peerConnection.close();
-                    peerConnections.delete(from);
-                    removeRemoteVideo(from);
-                    
-                    if (localStream) {
-                        await createPeerConnection(from);
-                        await createOffer(from);
-                    }
-                } catch (recoverError) {
-                    console.error('Recovery failed:', recoverError);
-                }
+            console.log('Invite link:', link);
+            window.prompt(`Copy this invite link (valid for ${hours}h):`, link);
+        }
+    });
+
+    // Room grew past the mesh limit - the server now forwards all media
+    socket.on('room-mode', ({ mode }) => {
+        if (mode === roomMode) return;
+        roomMode = mode;
+        if (roomMode === 'sfu') {
+            startSfuSession();
+        }
+    });
+
+    // Someone in an SFU room started sending a track
+    socket.on('sfu-new-producer', async (producer) => {
+        if (!sfuSessionPromise) return;
+        try {
+            await sfuSessionPromise;
+        } catch (error) {
+            return; // Already reported by startSfuSession
+        }
+        consumeSfuProducer(producer);
+    });
+
+    // A track we receive through the SFU ended (sender stopped or left)
+    socket.on('sfu-consumer-closed', ({ consumerId }) => {
+        closeSfuConsumer(consumerId);
+    });
+
+    // Handle WebRTC signaling messages ({ description } or { candidate })
+    socket.on('webrtc-signal', ({ from, signal }) => {
+        // Leftovers from peers that have not switched to the SFU yet
+        if (roomMode === 'sfu') return;
+
+        // Chain per peer so a candidate can never overtake the offer it belongs to
+        const previous = signalQueues.get(from) || Promise.resolve();
+        const next = previous.then(() => handleSignal(from, signal));
+        signalQueues.set(from, next);
+        next.finally(() => {
+            if (signalQueues.get(from) === next) {
+                signalQueues.delete(from);
             }
+        });
+    });
+
+    // A remote user started or stopped sharing their screen
+    socket.on('screen-share', ({ userId, sharing }) => {
+        if (sharing) {
+            screenSharingUsers.add(userId);
+        } else {
+            screenSharingUsers.delete(userId);
+        }
+        updateRemoteVideoLabel(userId);
+        updateRemoteMediaIndicators(userId);
+        updateStatus(`${getUserName(userId)} ${sharing ? 'started' : 'stopped'} sharing their screen`, 'success');
+    });
+
+    // A remote user started, paused, resumed or stopped recording the call
+    socket.on('recording-state', ({ userId, state }) => {
+        const wasRecording = recordingUsers.has(userId);
+        setUserRecording(userId, state);
+        updateRecordingIndicator();
+        if (wasRecording !== recordingUsers.has(userId)) {
+            showToast(`${getUserName(userId)} ${wasRecording ? 'stopped' : 'started'} recording the call`);
+        }
+    });
+
+    // A remote user muted/unmuted or turned their camera on/off
+    socket.on('media-state', ({ userId, audio, video }) => {
+        remoteMediaStates.set(userId, { audio, video });
+        updateRemoteMediaIndicators(userId);
+        updateUsersList();
+    });
+
+    // Chat message from anyone in the room (including our own, echoed back by the server)
+    socket.on('chat-message', (message) => {
+        renderChatMessage(message);
+
+        if (message.userId !== myUserId && (!chatOpen || document.hidden)) {
+            unreadCount++;
+            updateUnreadBadge();
         }
     });
 
     // Handle location updates from other users
-    socket.on('location-update', ({ userId, lat, lng }) => {
-        console.log(`Location update from ${userId}:`, lat, lng);
-        addOrUpdateUserMarker(userId, lat, lng);
+    socket.on('location-update', ({ userId, roomId, ...location }) => {
+        console.log(`Location update from ${userId}:`, location.lat, location.lng);
+        addOrUpdateUserMarker(userId, location);
+        appendTrailPoint(userId, location.lat, location.lng);
+    });
+
+    // A user stopped sharing their location
+    socket.on('location-removed', ({ userId }) => {
+        removeUserMarker(userId);
+        forgetReplayLocations(userId);
+    });
+
+    socket.on('geofence-created', ({ geofence }) => {
+        addGeofence(geofence);
+        if (geofence.createdBy !== myUserId) {
+            updateStatus(`${getUserName(geofence.createdBy)} added the zone "${geofence.name}"`, 'success');
+        }
+    });
+
+    socket.on('geofence-deleted', ({ geofenceId }) => {
+        removeGeofence(geofenceId);
+    });
+
+    // Someone (maybe us) arrived at or left a zone
+    socket.on('geofence-enter', ({ userId, geofenceName }) => {
+        const message = `${userId === myUserId ? 'You' : getUserName(userId)} arrived at ${geofenceName}`;
+        showToast(message);
+        updateStatus(message, 'success');
+    });
+
+    socket.on('geofence-exit', ({ userId, geofenceName }) => {
+        const message = `${userId === myUserId ? 'You' : getUserName(userId)} left ${geofenceName}`;
+        showToast(message);
+        updateStatus(message, 'success');
     });
 }
 
@@ -306,10 +742,40 @@ function initializeSocket() {
 // WebRTC Peer Connection Setup
 // ============================================================================
 
+// Fetch ICE servers (with ephemeral TURN credentials) from the server
+// Cached until shortly before the credentials expire
+async function getIceServers() {
+    if (iceServersCache && Date.now() < iceServersCache.expiresAt) {
+        return iceServersCache.iceServers;
+    }
+
+    try {
+        // Only room members get TURN credentials
+        const response = await fetch(`${SERVER_URL}/api/rooms/${encodeURIComponent(ROOM_ID)}/ice-servers`, {
+            headers: { Authorization: `Bearer ${localStorage.getItem(STORAGE_KEYS.identity)}` }
+        });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+
+        const { iceServers, ttl } = await response.json();
+        const refreshIn = Math.max((ttl - ICE_REFRESH_MARGIN) * 1000, 0);
+        iceServersCache = { iceServers, expiresAt: Date.now() + refreshIn };
+        console.log(`Received ${iceServers.length} ICE server entries (valid for ${ttl}s)`);
+        return iceServers;
+    } catch (error) {
+        console.error('Error fetching ICE servers, falling back to public STUN:', error);
+        return FALLBACK_ICE_SERVERS;
+    }
+}
+
 // Create a peer connection for a specific user
+// Either side may offer at any time (perfect negotiation): the polite peer yields on
+// offer collisions, the impolite one ignores the colliding offer. Both sides agree on
+// who is polite by comparing user ids.
 async function createPeerConnection(userId) {
     // Safety check: Never create connection with ourselves
-    if (userId === socket.id) {
+    if (userId === myUserId) {
         console.warn('Attempted to create peer connection with self - ignoring');
         return;
     }
@@ -320,30 +786,59 @@ async function createPeerConnection(userId) {
         return;
     }
 
+    const iceServers = await getIceServers();
+
+    // Another call may have created the connection while we were fetching
+    if (peerConnections.has(userId)) {
+        return;
+    }
+
     // Create RTCPeerConnection with ICE servers
     const peerConnection = new RTCPeerConnection({
-        iceServers: ICE_SERVERS,
+        iceServers,
         iceCandidatePoolSize: 10 // Pre-gather more candidates
     });
 
+    const negotiation = {
+        polite: myUserId < userId,
+        makingOffer: false,
+        ignoreOffer: false,
+        isSettingRemoteAnswerPending: false,
+        pendingCandidates: [] // Candidates received before the remote description
+    };
+
+    // Store before adding tracks, so onnegotiationneeded finds everything in place
+    peerConnections.set(userId, peerConnection);
+    negotiationStates.set(userId, negotiation);
+    startStatsCollection();
+
+    // Any change that needs (re)negotiation - tracks added/removed, ICE restart - lands here
+    peerConnection.onnegotiationneeded = async () => {
+        try {
+            negotiation.makingOffer = true;
+            await peerConnection.setLocalDescription();
+            sendSignal(userId, { description: peerConnection.localDescription });
+            console.log(`Offer sent to ${getUserName(userId)}`);
+        } catch (error) {
+            console.error('Error creating offer:', error);
+            updateStatus('Error creating offer', 'error');
+        } finally {
+            negotiation.makingOffer = false;
+        }
+    };
+
     // Add local stream tracks to peer connection
     if (localStream) {
-        const videoTracks = localStream.getVideoTracks();
-        const audioTracks = localStream.getAudioTracks();
-        console.log(`Adding local tracks to peer connection with ${userId}: ${videoTracks.length} video, ${audioTracks.length} audio`);
-        
-        localStream.getTracks().forEach(track => {
-            console.log(`Adding local ${track.kind} track (enabled: ${track.enabled})`);
-            peerConnection.addTrack(track, localStream);
-        });
+        addLocalTracks(userId, peerConnection);
     }
+    addReceiveOnlyTransceivers(peerConnection);
 
     // Handle remote stream - create video element for this specific user
     peerConnection.ontrack = (event) => {
         console.log('Received remote track from', userId, 'Track kind:', event.track.kind);
         
         // Safety check: Don't show our own video as a remote video
-        if (userId === socket.id) {
+        if (userId === myUserId) {
             console.warn('Ignoring own stream as remote video');
             return;
         }
@@ -352,17 +847,17 @@ async function createPeerConnection(userId) {
         let remoteStream = event.streams[0];
         
         // If we already have a video element for this user, update it
+        // (tracks added by a renegotiation mid-call)
         const existingVideo = remoteVideos.get(userId);
         if (existingVideo && existingVideo.videoElement.srcObject) {
-            // Add the new track to the existing stream
             const existingStream = existingVideo.videoElement.srcObject;
-            if (event.track.kind === 'video') {
-                console.log('Adding video track to existing stream for', userId);
+            if (!existingStream.getTracks().includes(event.track)) {
+                console.log(`Adding ${event.track.kind} track to existing stream for`, userId);
                 existingStream.addTrack(event.track);
-                // Force video to reload
-                existingVideo.videoElement.srcObject = existingStream;
                 existingVideo.videoElement.play().catch(err => console.error('Play error:', err));
+                monitorVoiceActivity(userId, existingStream);
             }
+            updateRemoteMediaIndicators(userId);
             return;
         }
         
@@ -372,108 +867,206 @@ async function createPeerConnection(userId) {
             console.log(`Adding remote video for ${userId} with ${tracks.length} tracks:`, 
                 tracks.map(t => `${t.kind} (${t.enabled ? 'enabled' : 'disabled'})`));
             
-            // Verify we have a video track
+            // Audio-only users get an avatar tile - the tile is what plays their audio
             const hasVideo = tracks.some(t => t.kind === 'video');
-            if (!hasVideo) {
-                console.warn('Remote stream has no video track, waiting for video track...');
-                return;
-            }
-            
             addRemoteVideo(userId, remoteStream);
-            updateStatus(`Video from ${userId.substring(0, 8)} connected`, 'success');
+            updateStatus(`${hasVideo ? 'Video' : 'Audio'} from ${getUserName(userId)} connected`, 'success');
+        }
+    };
+
+    // The peer opened a channel to send us a file
+    peerConnection.ondatachannel = ({ channel }) => {
+        if (channel.label.startsWith('file:')) {
+            receiveFileChannel(userId, channel);
         }
     };
 
     // Handle ICE candidates - send to specific user
-    peerConnection.onicecandidate = (event) => {
-        if (event.candidate) {
-            socket.emit('webrtc-signal', {
-                roomId: ROOM_ID,
-                from: socket.id,
-                to: userId,
-                signal: {
-                    type: 'candidate',
-                    candidate: event.candidate
-                }
-            });
+    peerConnection.onicecandidate = ({ candidate }) => {
+        if (candidate) {
+            sendSignal(userId, { candidate });
         }
     };
 
     // Handle connection state changes
     peerConnection.onconnectionstatechange = () => {
-        console.log(`Peer connection with ${userId.substring(0, 8)}:`, peerConnection.connectionState);
+        console.log(`Peer connection with ${getUserName(userId)}:`, peerConnection.connectionState);
         if (peerConnection.connectionState === 'connected') {
-            updateStatus(`Connected to ${userId.substring(0, 8)}`, 'success');
+            updateStatus(`Connected to ${getUserName(userId)}`, 'success');
+            applyEncodingsToAllPeers();
+            resumeFileTransfers(userId);
         } else if (peerConnection.connectionState === 'failed' || peerConnection.connectionState === 'disconnected') {
-            console.error(`Connection ${peerConnection.connectionState} with ${userId.substring(0, 8)}`);
-            updateStatus(`Connection ${peerConnection.connectionState} with ${userId.substring(0, 8)}`, 'error');
-            
-            // Try to reconnect after a delay if failed
-            if (peerConnection.connectionState === 'failed' && localStream) {
-                setTimeout(async () => {
-                    console.log(`Attempting to reconnect to ${userId.substring(0, 8)}`);
-                    try {
-                        // Close old connection
-                        peerConnection.close();
-                        peerConnections.delete(userId);
-                        removeRemoteVideo(userId);
-                        
-                        // Create new connection
-                        await createPeerConnection(userId);
-                        await createOffer(userId);
-                    } catch (error) {
-                        console.error('Reconnection failed:', error);
-                    }
-                }, 3000);
-            }
+            console.error(`Connection ${peerConnection.connectionState} with ${getUserName(userId)}`);
+            updateStatus(`Connection ${peerConnection.connectionState} with ${getUserName(userId)}`, 'error');
         }
     };
 
     // Handle ICE connection state
     peerConnection.oniceconnectionstatechange = () => {
-        console.log(`ICE connection with ${userId.substring(0, 8)}:`, peerConnection.iceConnectionState);
+        console.log(`ICE connection with ${getUserName(userId)}:`, peerConnection.iceConnectionState);
         if (peerConnection.iceConnectionState === 'failed') {
-            console.error(`ICE connection failed with ${userId.substring(0, 8)}`);
-            // Try to restart ICE
+            console.error(`ICE connection failed with ${getUserName(userId)}`);
+            // Restart ICE - triggers onnegotiationneeded with an ICE-restart offer,
+            // keeping the connection (and its tracks) instead of tearing it down
             peerConnection.restartIce();
         }
     };
+}
 
-    // Store the peer connection
-    peerConnections.set(userId, peerConnection);
+// After a reconnect: leave healthy connections alone, renegotiate the ones that broke
+async function recoverPeerConnection(peerConnection) {
+    try {
+        // Our offer went out while we (or they) were offline and never arrived - take it back and offer again
+        if (peerConnection.signalingState === 'have-local-offer') {
+            await peerConnection.setLocalDescription({ type: 'rollback' });
+            peerConnection.restartIce();
+        } else if (peerConnection.connectionState === 'failed' || peerConnection.connectionState === 'disconnected') {
+            peerConnection.restartIce();
+        }
+    } catch (error) {
+        console.error('Error recovering peer connection:', error);
+    }
 }
 
-// Create and send offer to a specific user
-async function createOffer(userId) {
-    const peerConnection = peerConnections.get(userId);
-    if (!peerConnection || !localStream) {
-        console.warn('Cannot create offer: peer connection or local stream not ready for', userId);
+// Add our tracks to every peer in the room - existing connections renegotiate on their own
+async function addLocalTracksToAllPeers() {
+    if (!isInRoom) return;
+
+    if (roomMode === 'sfu') {
+        try {
+            await sfuSessionPromise;
+            await publishToSfu();
+        } catch (error) {
+            console.error('Error publishing to the SFU:', error);
+        }
+        return;
+    }
+
+    const otherUsers = Array.from(currentRoomUsers).filter(id => id !== myUserId);
+    for (const userId of otherUsers) {
+        try {
+            if (peerConnections.has(userId)) {
+                addLocalTracks(userId, peerConnections.get(userId));
+            } else {
+                await createPeerConnection(userId);
+            }
+        } catch (error) {
+            console.error('Error adding tracks for', userId, error);
+        }
+    }
+}
+
+// Send local tracks on a peer connection (the screen instead of the camera while sharing)
+function addLocalTracks(userId, peerConnection) {
+    const sendingKinds = peerConnection.getSenders()
+        .filter(sender => sender.track)
+        .map(sender => sender.track.kind);
+
+    localStream.getTracks().forEach(track => {
+        if (sendingKinds.includes(track.kind)) return;
+
+        // While screen sharing, new peers get the screen instead of the camera
+        const outgoingTrack = track.kind === 'video' && screenTrack ? screenTrack : track;
+        console.log(`Adding local ${outgoingTrack.kind} track for ${userId} (enabled: ${outgoingTrack.enabled})`);
+        peerConnection.addTrack(outgoingTrack, localStream);
+    });
+}
+
+// Audio-only users and observers never send some kinds - ask for them receive-only, so the
+// connection is negotiated for them even when we have nothing to send
+function addReceiveOnlyTransceivers(peerConnection) {
+    const receiveOnlyKinds = { video: [], audio: ['video'], observer: ['audio', 'video'] }[joinMode];
+    receiveOnlyKinds.forEach(kind => {
+        peerConnection.addTransceiver(kind, { direction: 'recvonly' });
+    });
+}
+
+function sendSignal(userId, signal) {
+    // Offline, the signal would be buffered and rejected before the session resumes -
+    // broken negotiations are restarted once it has (recoverPeerConnection)
+    if (!socket.connected) return;
+
+    socket.emit('webrtc-signal', {
+        roomId: ROOM_ID,
+        from: myUserId,
+        to: userId,
+        signal
+    });
+}
+
+// Handle one signaling message following the perfect negotiation pattern
+async function handleSignal(from, { description, candidate }) {
+    // Get or create peer connection for this specific user
+    if (!peerConnections.has(from)) {
+        await createPeerConnection(from);
+    }
+    const peerConnection = peerConnections.get(from);
+    const negotiation = negotiationStates.get(from);
+    if (!peerConnection) {
+        console.warn('No peer connection available for', from);
         return;
     }
 
     try {
-        const offer = await peerConnection.createOffer();
-        await peerConnection.setLocalDescription(offer);
-
-        // Send offer to specific user
-        socket.emit('webrtc-signal', {
-            roomId: ROOM_ID,
-            from: socket.id,
-            to: userId,
-            signal: offer
-        });
+        if (description) {
+            console.log(`Received ${description.type} from ${getUserName(from)}, signaling state:`, peerConnection.signalingState);
+
+            // An offer collides if we are in the middle of making our own
+            const readyForOffer = !negotiation.makingOffer &&
+                (peerConnection.signalingState === 'stable' || negotiation.isSettingRemoteAnswerPending);
+            const offerCollision = description.type === 'offer' && !readyForOffer;
+
+            negotiation.ignoreOffer = !negotiation.polite && offerCollision;
+            if (negotiation.ignoreOffer) {
+                console.log('Offer collision - ignoring offer from', from, '(we are impolite)');
+                return;
+            }
+
+            // The polite peer rolls back its own offer implicitly in setRemoteDescription
+            negotiation.isSettingRemoteAnswerPending = description.type === 'answer';
+            await peerConnection.setRemoteDescription(description);
+            negotiation.isSettingRemoteAnswerPending = false;
+
+            // Candidates that arrived early can be added now
+            const pending = negotiation.pendingCandidates.splice(0);
+            for (const pendingCandidate of pending) {
+                await addIceCandidate(peerConnection, negotiation, pendingCandidate);
+            }
+
+            if (description.type === 'offer') {
+                await peerConnection.setLocalDescription();
+                sendSignal(from, { description: peerConnection.localDescription });
+                console.log(`Answer sent to ${getUserName(from)}`);
+            }
+        } else if (candidate) {
+            // Buffer until there is a remote description to attach the candidate to
+            if (!peerConnection.remoteDescription) {
+                negotiation.pendingCandidates.push(candidate);
+                return;
+            }
+            await addIceCandidate(peerConnection, negotiation, candidate);
+        }
+    } catch (error) {
+        console.error('Error handling WebRTC signal:', error);
+        updateStatus('Error handling WebRTC signal: ' + error.message, 'error');
+    }
+}
 
-        console.log('Offer created and sent to', userId);
+async function addIceCandidate(peerConnection, negotiation, candidate) {
+    try {
+        await peerConnection.addIceCandidate(candidate);
     } catch (error) {
-        console.error('Error creating offer:', error);
-        updateStatus('Error creating offer', 'error');
+        // Candidates for an offer we ignored are expected to fail
+        if (!negotiation.ignoreOffer) {
+            console.error('Error adding ICE candidate:', error);
+        }
     }
 }
 
 // Add remote video element for a user
 function addRemoteVideo(userId, stream) {
     // Safety check: Never show our own video as a remote video
-    if (userId === socket.id) {
+    if (userId === myUserId) {
         console.warn('Attempted to add own video as remote - ignoring');
         return;
     }
@@ -496,6 +1089,7 @@ function addRemoteVideo(userId, stream) {
     
     // Set the stream
     video.srcObject = stream;
+    applyAudioOutput(video);
     
     // Ensure video plays and log stream info
     video.onloadedmetadata = () => {
@@ -543,208 +1137,2686 @@ function addRemoteVideo(userId, stream) {
     // Create label
     const label = document.createElement('div');
     label.className = 'video-label';
-    label.textContent = `User ${userId.substring(0, 8)}`;
+
+    // Muted / camera-off icons, and a placeholder covering the (black) video when the camera is off
+    const indicators = document.createElement('div');
+    indicators.className = 'media-indicators';
+
+    // Shown instead of the video when the camera is off or the user joined audio-only
+    const cameraOffOverlay = document.createElement('div');
+    cameraOffOverlay.className = 'camera-off-overlay';
+    const avatar = document.createElement('div');
+    avatar.className = 'avatar';
+    const profile = userProfiles.get(userId);
+    avatar.style.background = profile && profile.color ? profile.color : '#607d8b';
+    avatar.textContent = getUserName(userId).charAt(0).toUpperCase();
+    const cameraOffCaption = document.createElement('span');
+    cameraOffOverlay.appendChild(avatar);
+    cameraOffOverlay.appendChild(cameraOffCaption);
+
+    // Connection stats (filled in by the stats collector)
+    const statsOverlay = document.createElement('div');
+    statsOverlay.className = 'stats-overlay';
+    statsOverlay.style.display = statsVisible ? 'block' : 'none';
 
     wrapper.appendChild(label);
     wrapper.appendChild(video);
+    wrapper.appendChild(cameraOffOverlay);
+    wrapper.appendChild(indicators);
+    wrapper.appendChild(statsOverlay);
     remoteVideosContainer.appendChild(wrapper);
 
     // Store references
-    remoteVideos.set(userId, { videoElement: video, wrapperElement: wrapper });
+    remoteVideos.set(userId, {
+        videoElement: video,
+        wrapperElement: wrapper,
+        labelElement: label,
+        indicatorsElement: indicators,
+        cameraOffElement: cameraOffOverlay,
+        cameraOffCaption,
+        statsElement: statsOverlay
+    });
+    updateRemoteVideoLabel(userId);
+    updateRemoteMediaIndicators(userId);
+
+    // Click a tile to pin it as the main tile (click again to unpin)
+    wrapper.addEventListener('click', () => togglePin(userId));
+
+    monitorVoiceActivity(userId, stream);
+    updateVideoLayout();
 }
 
-// Remove remote video element for a user
-function removeRemoteVideo(userId) {
+// Show muted / camera-off state on a remote tile
+// A user sharing their screen is sending video even if their camera is off
+function updateRemoteMediaIndicators(userId) {
     const videoData = remoteVideos.get(userId);
-    if (videoData) {
-        // Stop the video stream
-        if (videoData.videoElement.srcObject) {
-            videoData.videoElement.srcObject.getTracks().forEach(track => track.stop());
-        }
-        // Remove from DOM
-        videoData.wrapperElement.remove();
-        remoteVideos.delete(userId);
+    if (!videoData) return;
+
+    const media = remoteMediaStates.get(userId) || { audio: true, video: true };
+    const stream = videoData.videoElement.srcObject;
+    const audioOnly = !stream || stream.getVideoTracks().length === 0;
+    const cameraOff = (audioOnly || !media.video) && !screenSharingUsers.has(userId);
+    videoData.cameraOffCaption.textContent = audioOnly ? 'Audio only' : 'Camera off';
+
+    videoData.indicatorsElement.textContent = '';
+    if (!media.audio) {
+        videoData.indicatorsElement.appendChild(createMediaIcon('🔇', 'Microphone muted'));
     }
+    if (cameraOff) {
+        videoData.indicatorsElement.appendChild(createMediaIcon('📷', 'Camera off', true));
+    }
+    videoData.cameraOffElement.style.display = cameraOff ? 'flex' : 'none';
 }
 
-// ============================================================================
-// Media Stream (Camera/Microphone)
-// ============================================================================
+function createMediaIcon(symbol, title, crossedOut = false) {
+    const icon = document.createElement('span');
+    icon.className = crossedOut ? 'media-icon crossed' : 'media-icon';
+    icon.textContent = symbol;
+    icon.title = title;
+    return icon;
+}
+
+// Show the user's name on their tile, marking screen shares
+function updateRemoteVideoLabel(userId) {
+    const videoData = remoteVideos.get(userId);
+    if (!videoData) return;
+
+    const isSharing = screenSharingUsers.has(userId);
+    videoData.labelElement.textContent = isSharing ? `${getUserName(userId)} (screen)` : getUserName(userId);
+    videoData.wrapperElement.classList.toggle('screen-share', isSharing);
+}
+
+// Close the peer connection with a user and remove their video
+function closePeerConnection(userId) {
+    const peerConnection = peerConnections.get(userId);
+    if (peerConnection) {
+        peerConnection.close();
+        peerConnections.delete(userId);
+    }
+    negotiationStates.delete(userId);
+    peerStats.delete(userId);
+    appliedEncodings.delete(userId);
+    interruptFileTransfers(userId);
+    if (peerConnections.size === 0) {
+        stopStatsCollection();
+    }
+    removeRemoteVideo(userId);
+}
+
+// Remove remote video element for a user
+function removeRemoteVideo(userId) {
+    const videoData = remoteVideos.get(userId);
+    if (videoData) {
+        // Stop the video stream
+        if (videoData.videoElement.srcObject) {
+            videoData.videoElement.srcObject.getTracks().forEach(track => track.stop());
+        }
+        // Remove from DOM
+        videoData.wrapperElement.remove();
+        remoteVideos.delete(userId);
+    }
+
+    stopVoiceActivity(userId);
+    if (pinnedUserId === userId) {
+        pinnedUserId = null;
+    }
+    if (activeSpeakerId === userId) {
+        activeSpeakerId = null;
+    }
+    updateVideoLayout();
+}
+
+// ============================================================================
+// Media Stream (Camera/Microphone)
+// ============================================================================
+
+async function startLocalStream() {
+    try {
+        // Check if getUserMedia is available
+        if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+            // Fallback for older browsers
+            const getUserMedia = navigator.mediaDevices?.getUserMedia ||
+                                 navigator.getUserMedia ||
+                                 navigator.webkitGetUserMedia ||
+                                 navigator.mozGetUserMedia ||
+                                 navigator.msGetUserMedia;
+
+            if (!getUserMedia) {
+                throw new Error('getUserMedia is not supported in this browser');
+            }
+
+            // Check if page is served over HTTP/HTTPS (required for getUserMedia)
+            if (window.location.protocol === 'file:') {
+                throw new Error('Page must be served over HTTP/HTTPS. Please access via http://localhost:3000');
+            }
+
+            // Use fallback API (returns a Promise in modern browsers, callback in old ones)
+            return new Promise((resolve, reject) => {
+                getUserMedia.call(navigator, getMediaConstraints(), (stream) => {
+                    localStream = stream;
+                    localVideo.srcObject = localStream;
+                    updateStatus('Camera and microphone enabled', 'success');
+                    addLocalTracksToAllPeers().then(() => resolve(true));
+                }, (error) => {
+                    reject(error);
+                });
+            });
+        }
+
+        // Request user media (modern API) with the chosen devices - or keep the preview running
+        localStream = previewStream || await navigator.mediaDevices.getUserMedia(getMediaConstraints());
+        previewStream = null;
+        previewBtn.style.display = 'none';
+        updateDeviceLists(); // Device names are available now that access was granted
+
+        // Display local video
+        localVideo.srcObject = localStream;
+        updateStatus('Camera and microphone enabled', 'success');
+
+        // Now that we have local stream, send it to everyone in the room
+        await addLocalTracksToAllPeers();
+        monitorVoiceActivity('local', localStream);
+
+        return true;
+    } catch (error) {
+        console.error('Error accessing media devices:', error);
+        
+        let errorMessage = error.message;
+        if (!navigator.mediaDevices) {
+            errorMessage = 'MediaDevices API not available. Make sure you access the page via http://localhost:3000 (not file://)';
+        } else if (window.location.protocol === 'file:') {
+            errorMessage = 'Page must be served over HTTP/HTTPS. Please access via http://localhost:3000';
+        }
+        
+        updateStatus('Error accessing camera/microphone: ' + errorMessage, 'error');
+        return false;
+    }
+}
+
+// ============================================================================
+// Devices
+// Camera, microphone and speaker pickers. Choices are remembered in the browser and can be
+// changed before the call (with a preview) or during it, without renegotiating.
+// ============================================================================
+
+const DEVICE_LABELS = { videoinput: 'Camera', audioinput: 'Microphone', audiooutput: 'Speaker' };
+
+// Saved device id per kind ('' or missing means the browser's default)
+function getDeviceChoices() {
+    try {
+        return JSON.parse(localStorage.getItem(STORAGE_KEYS.devices)) || {};
+    } catch (error) {
+        return {};
+    }
+}
+
+function saveDeviceChoices() {
+    localStorage.setItem(STORAGE_KEYS.devices, JSON.stringify({
+        videoinput: cameraSelect.value,
+        audioinput: microphoneSelect.value,
+        audiooutput: speakerSelect.value
+    }));
+}
+
+// getUserMedia constraint for a kind - a remembered device that is not there (unplugged, or not
+// listed yet because access wasn't granted) falls back to the default
+function getDeviceConstraint(media) {
+    const kind = media === 'video' ? 'videoinput' : 'audioinput';
+    const select = media === 'video' ? cameraSelect : microphoneSelect;
+    const deviceId = select.value || getDeviceChoices()[kind];
+    return deviceId ? { deviceId: { ideal: deviceId } } : true;
+}
+
+function getMediaConstraints() {
+    return {
+        video: joinMode === 'video' ? getDeviceConstraint('video') : false,
+        audio: getDeviceConstraint('audio')
+    };
+}
+
+// Fill the pickers (labels only show once the user has allowed camera/microphone access)
+async function updateDeviceLists() {
+    if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) return [];
+
+    let devices = [];
+    try {
+        devices = await navigator.mediaDevices.enumerateDevices();
+    } catch (error) {
+        console.error('Error listing media devices:', error);
+    }
+    const choices = getDeviceChoices();
+
+    [[cameraSelect, 'videoinput'], [microphoneSelect, 'audioinput'], [speakerSelect, 'audiooutput']].forEach(([select, kind]) => {
+        const label = DEVICE_LABELS[kind];
+        const selected = choices[kind] || '';
+        select.textContent = '';
+        select.appendChild(new Option(`${label}: Default`, ''));
+        devices
+            .filter(device => device.kind === kind && device.deviceId && device.deviceId !== 'default')
+            .forEach((device, index) => {
+                select.appendChild(new Option(`${label}: ${device.label || index + 1}`, device.deviceId));
+            });
+        select.value = Array.from(select.options).some(option => option.value === selected) ? selected : '';
+    });
+    return devices;
+}
+
+// Show the chosen camera and microphone before starting the call
+async function startPreview() {
+    if (localStream || previewStream) return;
+
+    try {
+        previewStream = await navigator.mediaDevices.getUserMedia(getMediaConstraints());
+    } catch (error) {
+        console.error('Error starting preview:', error);
+        updateStatus('Error accessing camera/microphone: ' + error.message, 'error');
+        return;
+    }
+
+    localVideo.srcObject = previewStream;
+    monitorVoiceActivity('local', previewStream);
+    previewBtn.textContent = 'Stop Preview';
+    await updateDeviceLists(); // Now with device names
+}
+
+function stopPreview() {
+    if (!previewStream) return;
+
+    previewStream.getTracks().forEach(track => track.stop());
+    previewStream = null;
+    localVideo.srcObject = null;
+    stopVoiceActivity('local');
+    previewBtn.textContent = 'Preview';
+}
+
+// Switch the camera or microphone of the preview or the running call
+async function switchInputDevice(media) {
+    const stream = localStream || previewStream;
+    if (!stream || (media === 'video' && joinMode !== 'video')) return;
+
+    const oldTrack = media === 'video' ? stream.getVideoTracks()[0] : stream.getAudioTracks()[0];
+    let newTrack;
+    try {
+        newTrack = await getDeviceTrack(media, oldTrack);
+    } catch (error) {
+        console.error(`Error switching ${media} device:`, error);
+        updateStatus(`Could not switch ${media === 'video' ? 'camera' : 'microphone'}: ${error.message}`, 'error');
+        return;
+    }
+
+    if (oldTrack) {
+        newTrack.enabled = oldTrack.enabled; // Stay muted / camera off
+        stream.removeTrack(oldTrack);
+        oldTrack.stop();
+    }
+    stream.addTrack(newTrack);
+
+    if (stream === localStream) {
+        if (!oldTrack) {
+            // Nothing of this kind was being sent (e.g. the call started without a camera)
+            await addLocalTracksToAllPeers();
+        } else if (media === 'audio' || !screenTrack) {
+            // While screen sharing, the new camera goes out once sharing stops
+            await replaceOutgoingTrack(media, newTrack);
+        }
+        updateMediaButtons();
+        emitMediaState();
+    }
+    if (!screenTrack) {
+        localVideo.srcObject = stream;
+    }
+    if (media === 'audio') {
+        monitorVoiceActivity('local', stream);
+    }
+}
+
+// Open the chosen device - some phones can't open a second camera, so free the old one if that fails
+async function getDeviceTrack(media, oldTrack) {
+    const constraints = { [media]: getDeviceConstraint(media) };
+    try {
+        const stream = await navigator.mediaDevices.getUserMedia(constraints);
+        return stream.getTracks()[0];
+    } catch (error) {
+        if (!oldTrack || error.name !== 'NotReadableError') throw error;
+        oldTrack.stop();
+        const stream = await navigator.mediaDevices.getUserMedia(constraints);
+        return stream.getTracks()[0];
+    }
+}
+
+// Play every remote tile through the chosen speaker
+function applyAudioOutput(videoElement) {
+    if (!speakerSelect.value || typeof videoElement.setSinkId !== 'function') return;
+
+    videoElement.setSinkId(speakerSelect.value).catch(error => {
+        console.error('Error setting audio output:', error);
+    });
+}
+
+function switchAudioOutput() {
+    remoteVideos.forEach(({ videoElement }) => {
+        // '' switches back to the default output
+        if (typeof videoElement.setSinkId === 'function') {
+            videoElement.setSinkId(speakerSelect.value).catch(error => {
+                console.error('Error setting audio output:', error);
+            });
+        }
+    });
+}
+
+// A headset was plugged in or out: refresh the pickers, move off devices that are gone
+// and back onto the chosen ones when they return
+async function handleDeviceChange() {
+    const devices = await updateDeviceLists();
+    const available = new Set(devices.map(device => device.deviceId));
+    const stream = localStream || previewStream;
+
+    for (const media of ['audio', 'video']) {
+        const track = stream && (media === 'video' ? stream.getVideoTracks()[0] : stream.getAudioTracks()[0]);
+        if (!track) continue;
+
+        const select = media === 'video' ? cameraSelect : microphoneSelect;
+        const { deviceId } = track.getSettings();
+        const gone = track.readyState === 'ended' || (deviceId && !available.has(deviceId));
+        if (gone || (select.value && deviceId !== select.value)) {
+            showToast(`Switching to ${select.options[select.selectedIndex].text}`);
+            await switchInputDevice(media);
+        }
+    }
+
+    // The speaker picker fell back to the default if ours is gone (and returns to it when it is back)
+    switchAudioOutput();
+}
+
+function initDevices() {
+    if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+        deviceControlsDiv.style.display = 'none';
+        return;
+    }
+
+    // Speaker selection is not supported everywhere (e.g. Safari, Firefox without a flag)
+    if (typeof HTMLMediaElement.prototype.setSinkId !== 'function') {
+        speakerSelect.style.display = 'none';
+    }
+    updateDeviceLists();
+    navigator.mediaDevices.addEventListener('devicechange', () => handleDeviceChange());
+}
+
+function setJoinMode(mode) {
+    joinMode = mode;
+    localStorage.setItem(STORAGE_KEYS.joinMode, mode);
+    stopPreview(); // It was opened for the previous mode's devices
+    updateJoinModeControls();
+}
+
+// Only offer the devices the mode uses
+function updateJoinModeControls() {
+    joinModeSelect.value = joinMode;
+    cameraSelect.disabled = joinMode !== 'video';
+    microphoneSelect.disabled = joinMode === 'observer';
+    previewBtn.disabled = joinMode === 'observer';
+    if (!localStream) {
+        startCallBtn.textContent = { video: 'Start Call', audio: 'Start Audio Call', observer: 'Observing' }[joinMode];
+        startCallBtn.disabled = !isInRoom || joinMode === 'observer';
+    }
+}
+
+// ============================================================================
+// Active Speaker Detection & Video Layout
+// ============================================================================
+
+// Lazily create the AudioContext (browsers only let it run after a user gesture)
+function getAudioContext() {
+    if (!audioContext) {
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContextClass) return null;
+        audioContext = new AudioContextClass();
+    }
+    if (audioContext.state === 'suspended') {
+        audioContext.resume().catch(() => {});
+    }
+    return audioContext;
+}
+
+// Start (or restart, if the audio track changed) measuring the audio level of a stream
+function monitorVoiceActivity(id, stream) {
+    const audioTrack = stream.getAudioTracks()[0];
+    const existing = voiceMonitors.get(id);
+    if (existing && audioTrack && existing.trackId === audioTrack.id) return;
+
+    stopVoiceActivity(id);
+    const context = getAudioContext();
+    if (!audioTrack || !context) return;
+
+    try {
+        // Only the audio track: the analyser must not pick up a later screen-share stream
+        const source = context.createMediaStreamSource(new MediaStream([audioTrack]));
+        const analyser = context.createAnalyser();
+        analyser.fftSize = 512;
+        source.connect(analyser); // Not connected to the destination - playback stays in the <video> element
+
+        voiceMonitors.set(id, { source, analyser, trackId: audioTrack.id, level: 0, lastSpokeAt: 0 });
+    } catch (error) {
+        console.error('Error starting voice activity detection for', id, error);
+        return;
+    }
+
+    if (!voiceActivityTimer) {
+        voiceActivityTimer = setInterval(updateVoiceActivity, VOICE_ACTIVITY_INTERVAL_MS);
+    }
+}
+
+function stopVoiceActivity(id) {
+    const monitor = voiceMonitors.get(id);
+    if (monitor) {
+        monitor.source.disconnect();
+        voiceMonitors.delete(id);
+    }
+    if (voiceMonitors.size === 0 && voiceActivityTimer) {
+        clearInterval(voiceActivityTimer);
+        voiceActivityTimer = null;
+    }
+}
+
+// RMS level of the current audio frame (0 = silence, ~1 = full scale)
+function getAudioLevel(analyser) {
+    const samples = new Float32Array(analyser.fftSize);
+    analyser.getFloatTimeDomainData(samples);
+    let sum = 0;
+    for (const sample of samples) {
+        sum += sample * sample;
+    }
+    return Math.sqrt(sum / samples.length);
+}
+
+// Poll every analyser, mark speaking tiles and pick the active speaker
+function updateVoiceActivity() {
+    const now = Date.now();
+    let loudestId = null;
+    let loudestLevel = 0;
+
+    voiceMonitors.forEach((monitor, id) => {
+        // Smooth the level so single clicks and pops don't count as speech
+        monitor.level = monitor.level * 0.7 + getAudioLevel(monitor.analyser) * 0.3;
+
+        // Muted remote users still send (silent) audio - never treat them as speaking
+        const media = remoteMediaStates.get(id);
+        const muted = id === 'local'
+            ? !localStream || !localStream.getAudioTracks().some(track => track.enabled)
+            : media && !media.audio;
+
+        if (!muted && monitor.level > SPEAKING_LEVEL_THRESHOLD) {
+            monitor.lastSpokeAt = now;
+        }
+        const speaking = now - monitor.lastSpokeAt < SPEAKING_HOLD_MS;
+
+        const element = id === 'local' ? localVideoContainer : remoteVideos.get(id)?.wrapperElement;
+        if (element) {
+            element.classList.toggle('speaking', speaking);
+        }
+
+        if (id !== 'local' && speaking && monitor.level > loudestLevel) {
+            loudestId = id;
+            loudestLevel = monitor.level;
+        }
+    });
+
+    // Our own microphone level, for checking the mic before and during the call
+    const localMonitor = voiceMonitors.get('local');
+    micLevelBar.style.width = `${localMonitor ? Math.min(100, Math.round(localMonitor.level * 500)) : 0}%`;
+
+    // Keep the current speaker while they are still talking, so the main tile doesn't jump around
+    const current = voiceMonitors.get(activeSpeakerId);
+    const currentStillSpeaking = current && now - current.lastSpokeAt < SPEAKING_HOLD_MS;
+    if (!currentStillSpeaking && loudestId && loudestId !== activeSpeakerId) {
+        setActiveSpeaker(loudestId);
+    }
+}
+
+function setActiveSpeaker(userId) {
+    activeSpeakerId = userId;
+    remoteVideos.forEach((videoData, id) => {
+        videoData.wrapperElement.classList.toggle('active-speaker', id === userId);
+    });
+    if (layoutMode === 'speaker' && !pinnedUserId) {
+        updateVideoLayout();
+    }
+}
+
+function togglePin(userId) {
+    pinnedUserId = pinnedUserId === userId ? null : userId;
+
+    // Pinning only makes sense with one large tile
+    if (pinnedUserId && layoutMode !== 'speaker') {
+        setLayoutMode('speaker');
+    } else {
+        updateVideoLayout();
+    }
+}
+
+function setLayoutMode(mode) {
+    layoutMode = mode;
+    remoteVideosContainer.classList.toggle('layout-gallery', mode === 'gallery');
+    remoteVideosContainer.classList.toggle('layout-speaker', mode === 'speaker');
+    layoutToggleBtn.textContent = mode === 'gallery' ? 'Speaker View' : 'Gallery View';
+    updateVideoLayout();
+}
+
+// Size the grid for the number of participants and choose the main tile in speaker view
+function updateVideoLayout() {
+    const count = remoteVideos.size;
+
+    if (layoutMode === 'gallery') {
+        // Roughly square grid: 1 -> 1 column, 2-4 -> 2, 5-9 -> 3, ...
+        const columns = Math.max(1, Math.ceil(Math.sqrt(count)));
+        remoteVideosContainer.style.gridTemplateColumns = `repeat(${columns}, minmax(0, 1fr))`;
+    } else {
+        // Thumbnails shrink as more people join
+        const thumbnailWidth = count > 6 ? 120 : 180;
+        remoteVideosContainer.style.gridTemplateColumns = `repeat(auto-fill, minmax(${thumbnailWidth}px, 1fr))`;
+    }
+
+    const mainUserId = pinnedUserId || (remoteVideos.has(activeSpeakerId) ? activeSpeakerId : remoteVideos.keys().next().value);
+    remoteVideos.forEach((videoData, userId) => {
+        videoData.wrapperElement.classList.toggle('main-tile', layoutMode === 'speaker' && userId === mainUserId);
+        updatePinBadge(userId);
+    });
+}
+
+function updatePinBadge(userId) {
+    const videoData = remoteVideos.get(userId);
+    let badge = videoData.wrapperElement.querySelector('.pin-badge');
+    if (userId === pinnedUserId && !badge) {
+        badge = document.createElement('div');
+        badge.className = 'pin-badge';
+        badge.textContent = '📌 Pinned';
+        videoData.wrapperElement.appendChild(badge);
+    } else if (userId !== pinnedUserId && badge) {
+        badge.remove();
+    }
+}
+
+// ============================================================================
+// Connection Quality Stats
+// ============================================================================
+
+function startStatsCollection() {
+    if (!statsTimer) {
+        statsTimer = setInterval(collectAllStats, STATS_INTERVAL_MS);
+    }
+}
+
+function stopStatsCollection() {
+    if (statsTimer) {
+        clearInterval(statsTimer);
+        statsTimer = null;
+    }
+}
+
+async function collectAllStats() {
+    const collections = [];
+    peerConnections.forEach((peerConnection, userId) => {
+        collections.push(collectPeerStats(userId, peerConnection).catch(error => {
+            console.error('Error collecting stats for', userId, error);
+        }));
+    });
+    await Promise.all(collections);
+
+    updateQualityIndicators();
+    reportStatsToServer();
+
+    // Bandwidth estimates changed - adapt what we send
+    if (qualityPreset === 'auto') {
+        applyEncodingsToAllPeers();
+    }
+}
+
+// Read the raw counters we care about from a getStats() report
+function readStatsSample(report) {
+    const sample = {
+        timestamp: performance.now(),
+        bytesReceived: 0,
+        bytesSent: 0,
+        packetsReceived: 0,
+        packetsLost: 0,
+        jitter: null,
+        width: null,
+        height: null,
+        fps: null,
+        rtt: null,
+        availableOutgoingBitrate: null,
+        candidateType: null
+    };
+    let selectedPairId = null;
+
+    report.forEach(stat => {
+        if (stat.type === 'inbound-rtp') {
+            sample.bytesReceived += stat.bytesReceived || 0;
+            sample.packetsReceived += stat.packetsReceived || 0;
+            sample.packetsLost += stat.packetsLost || 0;
+            if (stat.kind === 'video') {
+                sample.width = stat.frameWidth || null;
+                sample.height = stat.frameHeight || null;
+                sample.fps = stat.framesPerSecond || null;
+            }
+            // Prefer audio jitter - it is what people notice first
+            if (stat.jitter !== undefined && (stat.kind === 'audio' || sample.jitter === null)) {
+                sample.jitter = stat.jitter * 1000;
+            }
+        } else if (stat.type === 'outbound-rtp') {
+            sample.bytesSent += stat.bytesSent || 0;
+        } else if (stat.type === 'transport' && stat.selectedCandidatePairId) {
+            selectedPairId = stat.selectedCandidatePairId;
+        }
+    });
+
+    // Firefox has no transport stats - fall back to the nominated, working pair
+    let pair = selectedPairId ? report.get(selectedPairId) : null;
+    if (!pair) {
+        report.forEach(stat => {
+            if (stat.type === 'candidate-pair' && stat.nominated && stat.state === 'succeeded') {
+                pair = stat;
+            }
+        });
+    }
+
+    if (pair) {
+        if (pair.currentRoundTripTime !== undefined) {
+            sample.rtt = pair.currentRoundTripTime * 1000;
+        }
+        if (pair.availableOutgoingBitrate !== undefined) {
+            sample.availableOutgoingBitrate = pair.availableOutgoingBitrate;
+        }
+        const local = report.get(pair.localCandidateId);
+        const remote = report.get(pair.remoteCandidateId);
+        // Relayed on either end means the media goes through a TURN server
+        if ((local && local.candidateType === 'relay') || (remote && remote.candidateType === 'relay')) {
+            sample.candidateType = 'relay';
+        } else if (local) {
+            sample.candidateType = local.candidateType;
+        }
+    }
+
+    return sample;
+}
+
+// Turn two samples into rates, and rate the connection quality
+async function collectPeerStats(userId, peerConnection) {
+    const sample = readStatsSample(await peerConnection.getStats());
+    const entry = peerStats.get(userId) || {};
+    const previous = entry.previous;
+
+    const stats = {
+        inboundKbps: 0,
+        outboundKbps: 0,
+        packetLoss: 0,
+        rtt: sample.rtt,
+        jitter: sample.jitter,
+        width: sample.width,
+        height: sample.height,
+        fps: sample.fps,
+        availableOutgoingBitrate: sample.availableOutgoingBitrate,
+        candidateType: sample.candidateType
+    };
+
+    if (previous) {
+        const elapsedMs = sample.timestamp - previous.timestamp;
+        // bits per millisecond = kilobits per second
+        stats.inboundKbps = Math.max(0, (sample.bytesReceived - previous.bytesReceived) * 8 / elapsedMs);
+        stats.outboundKbps = Math.max(0, (sample.bytesSent - previous.bytesSent) * 8 / elapsedMs);
+
+        const lost = sample.packetsLost - previous.packetsLost;
+        const received = sample.packetsReceived - previous.packetsReceived;
+        stats.packetLoss = lost + received > 0 ? Math.max(0, lost / (lost + received) * 100) : 0;
+    }
+
+    peerStats.set(userId, { previous: sample, current: stats, quality: rateConnectionQuality(stats) });
+    renderStatsOverlay(userId);
+}
+
+// 'good', 'fair' or 'poor' based on loss and round-trip time
+function rateConnectionQuality({ packetLoss, rtt }) {
+    if (packetLoss > 5 || (rtt !== null && rtt > 400)) return 'poor';
+    if (packetLoss > 2 || (rtt !== null && rtt > 200)) return 'fair';
+    return 'good';
+}
+
+function renderStatsOverlay(userId) {
+    const videoData = remoteVideos.get(userId);
+    const entry = peerStats.get(userId);
+    if (!videoData || !entry) return;
+
+    const stats = entry.current;
+    const format = (value, unit, digits = 0) => (value === null ? 'n/a' : `${value.toFixed(digits)}${unit}`);
+    const lines = [
+        `↓ ${format(stats.inboundKbps, ' kbps')}  ↑ ${format(stats.outboundKbps, ' kbps')}`,
+        `Loss ${format(stats.packetLoss, '%', 1)}  RTT ${format(stats.rtt, ' ms')}  Jitter ${format(stats.jitter, ' ms')}`,
+        `Video ${stats.width ? `${stats.width}x${stats.height}` : 'n/a'} @ ${format(stats.fps, ' fps')}`,
+        `Path ${stats.candidateType || 'n/a'}  Quality ${entry.quality}`
+    ];
+    videoData.statsElement.textContent = lines.join('\n');
+}
+
+function createQualityIndicator(userId) {
+    const entry = peerStats.get(userId);
+    const indicator = document.createElement('span');
+    indicator.className = `quality-indicator ${entry.quality}`;
+
+    const { rtt, packetLoss, candidateType } = entry.current;
+    indicator.title = `Connection ${entry.quality} - RTT ${rtt === null ? 'n/a' : Math.round(rtt) + ' ms'}, ` +
+        `loss ${packetLoss.toFixed(1)}%, ${candidateType || 'unknown'} path`;
+
+    // Three bars, filled according to quality
+    const filledBars = { good: 3, fair: 2, poor: 1 }[entry.quality];
+    for (let i = 1; i <= 3; i++) {
+        const bar = document.createElement('span');
+        bar.className = i <= filledBars ? 'bar filled' : 'bar';
+        bar.style.height = `${i * 4}px`;
+        indicator.appendChild(bar);
+    }
+    return indicator;
+}
+
+// Refresh the indicators in the users list without rebuilding it (keeps buttons clickable)
+function updateQualityIndicators() {
+    usersListItems.querySelectorAll('li[data-user-id]').forEach(li => {
+        const userId = li.dataset.userId;
+        if (userId === myUserId || !peerStats.has(userId)) return;
+
+        const existing = li.querySelector('.quality-indicator');
+        const indicator = createQualityIndicator(userId);
+        if (existing) {
+            existing.replaceWith(indicator);
+        } else {
+            li.insertBefore(indicator, li.querySelector('.media-icon, button'));
+        }
+    });
+}
+
+function setStatsVisible(visible) {
+    statsVisible = visible;
+    remoteVideos.forEach(videoData => {
+        videoData.statsElement.style.display = visible ? 'block' : 'none';
+    });
+    toggleStatsBtn.textContent = visible ? 'Hide Stats' : 'Show Stats';
+}
+
+// Send a compact summary to the server now and then, so bad calls show up in the server logs
+function reportStatsToServer() {
+    const now = Date.now();
+    if (now - lastStatsReportAt < STATS_REPORT_INTERVAL_MS || peerStats.size === 0) return;
+    if (!socket || !socket.connected || !isInRoom) return;
+    lastStatsReportAt = now;
+
+    const peers = {};
+    peerStats.forEach(({ current, quality }, userId) => {
+        peers[userId] = {
+            quality,
+            inboundKbps: Math.round(current.inboundKbps),
+            outboundKbps: Math.round(current.outboundKbps),
+            packetLoss: Number(current.packetLoss.toFixed(1)),
+            rtt: current.rtt === null ? null : Math.round(current.rtt),
+            candidateType: current.candidateType
+        };
+    });
+    socket.emit('stats-report', { roomId: ROOM_ID, peers });
+}
+
+// ============================================================================
+// Adaptive Bitrate
+// ============================================================================
+
+// Preset to use with the current number of peers
+function getEffectivePreset() {
+    if (qualityPreset !== 'auto') return qualityPreset;
+
+    const peerCount = peerConnections.size;
+    if (peerCount <= 2) return 'high';
+    if (peerCount <= 4) return 'medium';
+    return 'low';
+}
+
+// Encoding for one peer: the preset, capped by the bandwidth measured on that connection
+function getTargetEncoding(userId) {
+    const preset = QUALITY_PRESETS[getEffectivePreset()];
+    const encoding = { ...preset };
+
+    const entry = peerStats.get(userId);
+    if (qualityPreset === 'auto' && entry && entry.current.availableOutgoingBitrate) {
+        // Everything else we send to this peer (audio) shares the same estimate
+        const available = entry.current.availableOutgoingBitrate * BANDWIDTH_HEADROOM;
+        encoding.maxBitrate = Math.max(MIN_VIDEO_BITRATE, Math.min(encoding.maxBitrate, Math.round(available)));
+    }
+    if (qualityPreset === 'auto' && entry && entry.quality === 'poor') {
+        encoding.maxBitrate = Math.max(MIN_VIDEO_BITRATE, Math.round(encoding.maxBitrate / 2));
+    }
+
+    // Screen content: keep full resolution so text stays readable, trade frame rate instead
+    if (screenTrack) {
+        encoding.scaleResolutionDownBy = 1;
+        encoding.maxFramerate = Math.min(encoding.maxFramerate, 15);
+    }
+    return encoding;
+}
+
+// One encoding per sender, not simulcast: each mesh connection has a single receiver and nothing in
+// between to pick a layer, so extra layers would only add upload - the encoding is tailored per peer instead
+async function applyEncodingParameters(userId, peerConnection) {
+    const sender = peerConnection.getSenders().find(s => s.track && s.track.kind === 'video');
+    if (!sender) return;
+
+    const target = getTargetEncoding(userId);
+    const applied = appliedEncodings.get(userId);
+    // Skip small changes - every setParameters call can briefly disturb the encoder
+    if (applied &&
+        applied.scaleResolutionDownBy === target.scaleResolutionDownBy &&
+        applied.maxFramerate === target.maxFramerate &&
+        Math.abs(applied.maxBitrate - target.maxBitrate) < applied.maxBitrate * 0.1) {
+        return;
+    }
+
+    const params = sender.getParameters();
+    // Firefox returns no encodings until the first negotiation completes
+    if (!params.encodings || params.encodings.length === 0) {
+        params.encodings = [{}];
+    }
+    params.encodings.forEach(encoding => {
+        encoding.maxBitrate = target.maxBitrate;
+        encoding.scaleResolutionDownBy = target.scaleResolutionDownBy;
+        encoding.maxFramerate = target.maxFramerate;
+    });
+
+    try {
+        await sender.setParameters(params);
+        appliedEncodings.set(userId, target);
+        console.log(`Video to ${getUserName(userId)}: ${Math.round(target.maxBitrate / 1000)} kbps, ` +
+            `1/${target.scaleResolutionDownBy} resolution, ${target.maxFramerate} fps`);
+    } catch (error) {
+        console.error('Error setting encoding parameters for', userId, error);
+    }
+}
+
+async function applyEncodingsToAllPeers() {
+    const updates = [];
+    peerConnections.forEach((peerConnection, userId) => {
+        if (peerConnection.connectionState === 'connected') {
+            updates.push(applyEncodingParameters(userId, peerConnection));
+        }
+    });
+    await Promise.all(updates);
+}
+
+function setQualityPreset(preset) {
+    qualityPreset = preset;
+    localStorage.setItem('realtime-app.quality', preset);
+    applyEncodingsToAllPeers();
+    applySfuQualityPreset();
+}
+
+// ============================================================================
+// SFU Mode (mediasoup)
+// ============================================================================
+
+// Request/response with the server's SFU; rejects on { error } or when the server does not answer
+async function sfuRequest(event, payload) {
+    const response = await socket.timeout(SFU_REQUEST_TIMEOUT_MS).emitWithAck(event, { roomId: ROOM_ID, ...payload });
+    if (response.error) {
+        throw new Error(`${event} failed: ${response.message}`);
+    }
+    return response;
+}
+
+// Switch from peer-to-peer to the SFU: receive everything already being sent, then send our own tracks
+function startSfuSession() {
+    if (sfuSessionPromise) return sfuSessionPromise;
+
+    // The server forwards all media from now on
+    Array.from(peerConnections.keys()).forEach(userId => closePeerConnection(userId));
+    updateStatus('Large room: switching to server-forwarded video...', 'success');
+
+    const sessionPromise = (async () => {
+        const { Device } = await import(MEDIASOUP_CLIENT_URL);
+        const { rtpCapabilities, producers } = await sfuRequest('sfu-join', {});
+
+        const device = new Device();
+        await device.load({ routerRtpCapabilities: rtpCapabilities });
+        if (sfuSessionPromise !== sessionPromise) return; // Left the room meanwhile
+
+        sfuDevice = device;
+        sfuRecvTransport = await createSfuTransport('recv');
+        producers.forEach(producer => consumeSfuProducer(producer));
+    })();
+    sfuSessionPromise = sessionPromise;
+
+    sessionPromise
+        .then(() => {
+            updateStatus('Connected to the media server', 'success');
+            if (localStream) {
+                return publishToSfu();
+            }
+        })
+        .catch(error => {
+            console.error('Error starting SFU session:', error);
+            updateStatus('Could not connect to the media server: ' + error.message, 'error');
+        });
+    return sessionPromise;
+}
+
+// Leave the SFU (room left, or rejoined and the server dropped our transports)
+function stopSfuSession() {
+    // Tiles fed by the SFU go with it
+    new Set(Array.from(sfuConsumers.values()).map(({ userId }) => userId))
+        .forEach(userId => removeRemoteVideo(userId));
+
+    // Closing the transports closes their producers and consumers
+    if (sfuSendTransport) sfuSendTransport.close();
+    if (sfuRecvTransport) sfuRecvTransport.close();
+    sfuSendTransport = null;
+    sfuRecvTransport = null;
+    sfuDevice = null;
+    sfuProducers.clear();
+    sfuConsumers.clear();
+    sfuConsumedProducers.clear();
+    sfuSessionPromise = null;
+    sfuPublishPromise = null;
+    roomMode = 'mesh';
+}
+
+async function createSfuTransport(direction) {
+    const params = await sfuRequest('sfu-create-transport', { direction });
+    const iceServers = await getIceServers();
+    const options = { ...params, iceServers };
+    const transport = direction === 'send'
+        ? sfuDevice.createSendTransport(options)
+        : sfuDevice.createRecvTransport(options);
+
+    // mediasoup-client asks us to deliver its DTLS parameters (and new producers) to the server
+    transport.on('connect', ({ dtlsParameters }, callback, errback) => {
+        sfuRequest('sfu-connect-transport', { transportId: transport.id, dtlsParameters })
+            .then(() => callback(), errback);
+    });
+    if (direction === 'send') {
+        transport.on('produce', ({ kind, rtpParameters }, callback, errback) => {
+            sfuRequest('sfu-produce', { transportId: transport.id, kind, rtpParameters })
+                .then(({ id }) => callback({ id }), errback);
+        });
+    }
+
+    transport.on('connectionstatechange', (state) => {
+        console.log(`SFU ${direction} transport:`, state);
+        if (state === 'failed') {
+            updateStatus('Connection to the media server failed', 'error');
+        }
+    });
+    return transport;
+}
+
+// Send our tracks to the SFU (once - later changes use replaceTrack)
+function publishToSfu() {
+    if (!sfuPublishPromise) {
+        sfuPublishPromise = produceLocalTracks().catch(error => {
+            sfuPublishPromise = null;
+            throw error;
+        });
+    }
+    return sfuPublishPromise;
+}
+
+async function produceLocalTracks() {
+    if (!sfuSendTransport) {
+        sfuSendTransport = await createSfuTransport('send');
+    }
+
+    for (const track of localStream.getTracks()) {
+        if (sfuProducers.has(track.kind)) continue;
+
+        // While screen sharing, send the screen instead of the camera
+        const outgoingTrack = track.kind === 'video' && screenTrack ? screenTrack : track;
+        // stopTracks: false - closing a producer must not stop our camera or microphone
+        const options = track.kind === 'video'
+            ? { track: outgoingTrack, encodings: SIMULCAST_ENCODINGS, stopTracks: false }
+            : { track: outgoingTrack, stopTracks: false };
+
+        const producer = await sfuSendTransport.produce(options);
+        sfuProducers.set(track.kind, producer);
+        console.log(`Sending ${track.kind} to the SFU`);
+    }
+    applySfuQualityPreset();
+}
+
+// The SFU picks a simulcast layer per receiver; fixed presets cap the highest layer we send
+function applySfuQualityPreset() {
+    const producer = sfuProducers.get('video');
+    if (!producer) return;
+
+    producer.setMaxSpatialLayer(PRESET_SPATIAL_LAYERS[qualityPreset]).catch(error => {
+        console.error('Error setting simulcast layer:', error);
+    });
+}
+
+async function consumeSfuProducer({ producerId }) {
+    if (sfuConsumedProducers.has(producerId) || !sfuRecvTransport) return;
+    sfuConsumedProducers.add(producerId);
+
+    try {
+        const { id, userId, kind, rtpParameters } = await sfuRequest('sfu-consume', {
+            producerId,
+            rtpCapabilities: sfuDevice.rtpCapabilities
+        });
+        const consumer = await sfuRecvTransport.consume({ id, producerId, kind, rtpParameters });
+        sfuConsumers.set(consumer.id, { consumer, userId });
+        addSfuTrack(userId, consumer.track);
+
+        // Created paused on the server so no packets are lost before we are ready
+        await sfuRequest('sfu-resume-consumer', { consumerId: consumer.id });
+    } catch (error) {
+        sfuConsumedProducers.delete(producerId);
+        console.error('Error consuming', producerId, error);
+    }
+}
+
+// Put a track received through the SFU on the sender's tile
+function addSfuTrack(userId, track) {
+    const videoData = remoteVideos.get(userId);
+    if (videoData && videoData.videoElement.srcObject) {
+        const stream = videoData.videoElement.srcObject;
+        stream.addTrack(track);
+        videoData.videoElement.play().catch(err => console.error('Play error:', err));
+        monitorVoiceActivity(userId, stream);
+        updateRemoteMediaIndicators(userId);
+        return;
+    }
+
+    addRemoteVideo(userId, new MediaStream([track]));
+}
+
+function closeSfuConsumer(consumerId) {
+    const entry = sfuConsumers.get(consumerId);
+    if (!entry) return;
+
+    const { consumer, userId } = entry;
+    consumer.close();
+    sfuConsumers.delete(consumerId);
+    sfuConsumedProducers.delete(consumer.producerId);
+
+    const videoData = remoteVideos.get(userId);
+    if (videoData && videoData.videoElement.srcObject) {
+        videoData.videoElement.srcObject.removeTrack(consumer.track);
+        updateRemoteMediaIndicators(userId);
+    }
+}
+
+// ============================================================================
+// Microphone / Camera Controls
+// ============================================================================
+
+// Tell the room whether our mic and camera are on
+function emitMediaState() {
+    if (!socket || !socket.connected || !isInRoom || !localStream) return;
+
+    const audioTrack = localStream.getAudioTracks()[0];
+    const videoTrack = localStream.getVideoTracks()[0];
+    socket.emit('media-state', {
+        roomId: ROOM_ID,
+        audio: Boolean(audioTrack && audioTrack.enabled),
+        video: Boolean(videoTrack && videoTrack.enabled)
+    });
+}
+
+// Disabled tracks keep the connection alive but send silence / black frames
+function toggleLocalTrack(kind) {
+    if (!localStream) return;
+
+    const tracks = kind === 'audio' ? localStream.getAudioTracks() : localStream.getVideoTracks();
+    if (tracks.length === 0) return;
+
+    const enabled = !tracks[0].enabled;
+    tracks.forEach(track => {
+        track.enabled = enabled;
+    });
+
+    updateMediaButtons();
+    emitMediaState();
+}
+
+function updateMediaButtons() {
+    const audioTrack = localStream && localStream.getAudioTracks()[0];
+    const videoTrack = localStream && localStream.getVideoTracks()[0];
+
+    toggleMicBtn.disabled = !audioTrack;
+    toggleCameraBtn.disabled = !videoTrack;
+    toggleMicBtn.textContent = audioTrack && !audioTrack.enabled ? 'Unmute Mic' : 'Mute Mic';
+    toggleCameraBtn.textContent = videoTrack && !videoTrack.enabled ? 'Turn Camera On' : 'Turn Camera Off';
+    toggleMicBtn.classList.toggle('danger', Boolean(audioTrack && !audioTrack.enabled));
+    toggleCameraBtn.classList.toggle('danger', Boolean(videoTrack && !videoTrack.enabled));
+}
+
+// ============================================================================
+// Screen Sharing
+// ============================================================================
+
+// Replace the outgoing audio or video track on every peer connection without renegotiating
+async function replaceOutgoingTrack(kind, track) {
+    const replacements = [];
+    const sfuProducer = sfuProducers.get(kind);
+    if (sfuProducer) {
+        replacements.push(sfuProducer.replaceTrack({ track }).catch(error => {
+            console.error(`Error replacing ${kind} track on the SFU:`, error);
+        }));
+    }
+    peerConnections.forEach((peerConnection, userId) => {
+        const sender = peerConnection.getSenders().find(s => s.track && s.track.kind === kind);
+        if (sender) {
+            replacements.push(sender.replaceTrack(track).catch(error => {
+                console.error(`Error replacing ${kind} track for`, userId, error);
+            }));
+        }
+    });
+    await Promise.all(replacements);
+}
+
+async function startScreenShare() {
+    if (!localStream || localStream.getVideoTracks().length === 0) {
+        updateStatus('Start the call with a camera before sharing your screen', 'error');
+        return;
+    }
+    if (!navigator.mediaDevices || !navigator.mediaDevices.getDisplayMedia) {
+        updateStatus('Screen sharing is not supported in this browser', 'error');
+        return;
+    }
+
+    try {
+        const displayStream = await navigator.mediaDevices.getDisplayMedia({ video: true });
+        screenTrack = displayStream.getVideoTracks()[0];
+        screenTrack.contentHint = 'detail';
+
+        // Browser's own "Stop sharing" button ends the track
+        screenTrack.onended = () => stopScreenShare();
+
+        await replaceOutgoingTrack('video', screenTrack);
+        localVideo.srcObject = new MediaStream([screenTrack, ...localStream.getAudioTracks()]);
+        appliedEncodings.clear();
+        applyEncodingsToAllPeers();
+
+        socket.emit('screen-share', { roomId: ROOM_ID, sharing: true });
+        shareScreenBtn.textContent = 'Stop Sharing';
+        updateStatus('Sharing your screen', 'success');
+    } catch (error) {
+        console.error('Error starting screen share:', error);
+        screenTrack = null;
+        // NotAllowedError means the user closed the picker - nothing to report
+        if (error.name !== 'NotAllowedError') {
+            updateStatus('Error sharing screen: ' + error.message, 'error');
+        }
+    }
+}
+
+// Go back to the camera
+async function stopScreenShare() {
+    if (!screenTrack) return;
+
+    const track = screenTrack;
+    screenTrack = null;
+    track.onended = null;
+    track.stop();
+
+    await replaceOutgoingTrack('video', localStream.getVideoTracks()[0]);
+    localVideo.srcObject = localStream;
+    appliedEncodings.clear();
+    applyEncodingsToAllPeers();
+
+    if (socket && socket.connected && isInRoom) {
+        socket.emit('screen-share', { roomId: ROOM_ID, sharing: false });
+    }
+    shareScreenBtn.textContent = 'Share Screen';
+    updateStatus('Stopped sharing your screen', 'success');
+}
+
+// ============================================================================
+// Map Integration
+// ============================================================================
+
+// Load the configured map provider and create the map
+async function initMap() {
+    // Default center (can be user's location or a default)
+    const defaultCenter = { lat: 37.7749, lng: -122.4194 }; // San Francisco
+
+    try {
+        map = await createMapAdapter(document.getElementById('map'), MAP_CONFIG, {
+            center: defaultCenter,
+            zoom: 15
+        });
+        console.log(`Map initialized (${MAP_CONFIG.provider})`);
+
+        setInterval(updateMarkerStaleness, STALENESS_CHECK_INTERVAL_MS);
+
+        // Clicks place geofence points while drawing
+        map.on('click', (position) => handleGeofenceMapClick(position));
+        map.on('mousemove', (position) => updateGeofencePreview(position));
+    } catch (error) {
+        console.error('Error loading map:', error);
+        updateStatus('Could not load the map: ' + error.message, 'error');
+    }
+
+    // Start watching user's position (shared with the room even without a map)
+    startLocationTracking();
+}
+
+// Start tracking user's location
+function startLocationTracking() {
+    if (!navigator.geolocation) {
+        updateStatus('Geolocation not supported by browser', 'error');
+        return;
+    }
+
+    const options = {
+        enableHighAccuracy: true,
+        timeout: 5000,
+        maximumAge: 0
+    };
+
+    watchPositionId = navigator.geolocation.watchPosition(
+        (position) => {
+            const { latitude: lat, longitude: lng } = position.coords;
+            console.log('Current location:', lat, lng);
+
+            // Devices that don't know a value report null (heading is NaN when standing still)
+            const optional = (value) => (Number.isFinite(value) ? value : null);
+            const location = {
+                lat,
+                lng,
+                accuracy: optional(position.coords.accuracy),
+                heading: optional(position.coords.heading),
+                speed: optional(position.coords.speed),
+                altitude: optional(position.coords.altitude),
+                timestamp: position.timestamp
+            };
+
+            // Update map center to user's location (first time)
+            if (map && !userMarkers.has('self')) {
+                map.setCenter({ lat, lng });
+            }
+            addOrUpdateUserMarker('self', location, true); // true = is self
+
+            lastOwnLocation = location;
+            shareLocation(location);
+        },
+        (error) => {
+            console.error('Geolocation error:', error);
+            updateStatus('Error getting location: ' + error.message, 'error');
+        },
+        options
+    );
+}
+
+// Send our position to the room - only if the user agreed, and coarsened in approximate mode
+function shareLocation(location) {
+    if (!socket || !socket.connected || !isInRoom || !ROOM_ID) return;
+    if (locationSharing !== 'precise' && locationSharing !== 'approximate') return;
+
+    const shared = locationSharing === 'approximate' ? coarsenLocation(location) : location;
+    appendTrailPoint('self', shared.lat, shared.lng);
+    socket.emit('location-update', {
+        roomId: ROOM_ID,
+        ...shared
+    });
+}
+
+// Snap to the grid and leave out anything more precise than the grid itself
+function coarsenLocation({ lat, lng, accuracy, timestamp }) {
+    const snap = (value) => Number((Math.round(value / APPROXIMATE_GRID_DEGREES) * APPROXIMATE_GRID_DEGREES).toFixed(6));
+    return {
+        lat: snap(lat),
+        lng: snap(lng),
+        accuracy: Math.max(accuracy || 0, APPROXIMATE_ACCURACY_M),
+        heading: null,
+        speed: null,
+        altitude: null,
+        timestamp,
+        approximate: true
+    };
+}
+
+// Remembered per room, so we only ask once
+function getLocationConsent(roomId) {
+    try {
+        const consent = JSON.parse(localStorage.getItem(STORAGE_KEYS.locationConsent)) || {};
+        return consent[roomId] || null;
+    } catch (error) {
+        return null;
+    }
+}
+
+function saveLocationConsent(roomId, mode) {
+    let consent = {};
+    try {
+        consent = JSON.parse(localStorage.getItem(STORAGE_KEYS.locationConsent)) || {};
+    } catch (error) {
+        // Corrupted entry - start over
+    }
+    consent[roomId] = mode;
+    localStorage.setItem(STORAGE_KEYS.locationConsent, JSON.stringify(consent));
+}
+
+// Switch between precise, approximate and no location sharing in the current room
+function setLocationSharing(mode) {
+    const previous = locationSharing;
+    locationSharing = mode;
+    locationSharingSelect.value = mode;
+    locationConsentDiv.style.display = 'none';
+    if (!isInRoom) return;
+
+    saveLocationConsent(ROOM_ID, mode);
+
+    // Sharing less than before: ask the server to forget our position and precise trail,
+    // so nobody (including later joiners and track exports) sees them any more
+    if (previous && previous !== 'off' && previous !== mode &&
+        (mode === 'off' || previous === 'precise')) {
+        if (socket && socket.connected) {
+            socket.emit('location-stop', { roomId: ROOM_ID });
+        }
+        removeTrail('self');
+        forgetReplayLocations(myUserId);
+    }
+
+    if (mode === 'off') {
+        updateStatus('Location sharing is off', 'success');
+        return;
+    }
+
+    if (lastOwnLocation) {
+        shareLocation(lastOwnLocation);
+    }
+    updateStatus(mode === 'approximate' ? 'Sharing your approximate location (~1 km)' : 'Sharing your location', 'success');
+}
+
+// Add or update marker (and accuracy circle) for a user
+// location: { lat, lng, accuracy, heading, speed, altitude, timestamp } - all but lat/lng may be null
+function addOrUpdateUserMarker(userId, location, isSelf = false) {
+    userLocations.set(userId, location);
+    if (!map) return;
+
+    const position = { lat: location.lat, lng: location.lng };
+    const marker = userMarkers.get(userId);
+
+    if (marker) {
+        // Update existing marker position smoothly
+        marker.setPosition(position);
+    } else {
+        userMarkers.set(userId, map.addMarker(position));
+    }
+    updateMarkerAppearance(userId, isSelf);
+
+    // How far off the position may be
+    const circle = accuracyCircles.get(userId);
+    if (!location.accuracy) {
+        if (circle) {
+            circle.remove();
+            accuracyCircles.delete(userId);
+        }
+    } else if (circle) {
+        circle.setCenter(position);
+        circle.setRadius(location.accuracy);
+    } else {
+        accuracyCircles.set(userId, map.addCircle({
+            center: position,
+            radius: location.accuracy,
+            weight: 1,
+            opacity: 0.4,
+            fillOpacity: 0.12
+        }));
+    }
+}
+
+// Icon, color, opacity and tooltip from the user's latest location and how old it is
+function updateMarkerAppearance(userId, isSelf = userId === 'self') {
+    const marker = userMarkers.get(userId);
+    const location = userLocations.get(userId);
+    if (!marker || !location) return;
+
+    const stale = Date.now() - location.timestamp > STALE_LOCATION_MS;
+    const profile = userProfiles.get(isSelf ? myUserId : userId);
+    const color = stale ? STALE_MARKER_COLOR : (isSelf ? '#4285f4' : (profile ? profile.color : '#e53935'));
+    const moving = location.heading !== null && location.speed !== null && location.speed >= MOVING_SPEED;
+
+    // Moving users get an arrow pointing where they're headed, everyone else a dot in their avatar color
+    let shape = 'dot';
+    if (moving) {
+        shape = 'arrow';
+    } else if (isSelf && !stale) {
+        shape = 'self';
+    }
+    marker.setIcon({ shape, color, rotation: location.heading });
+    marker.setOpacity(replay ? 0.3 : (stale ? 0.5 : 1)); // Replay markers take the stage while replaying
+    marker.setTitle(describeLocation(isSelf ? 'You' : getUserName(userId), location));
+
+    const circle = accuracyCircles.get(userId);
+    if (circle) {
+        circle.setColor(color);
+    }
+}
+
+// Marker tooltip, e.g. "Alice - ±12 m, 4.3 km/h, 2 min ago"
+function describeLocation(name, { accuracy, speed, altitude, timestamp, approximate }) {
+    const details = [];
+    if (approximate) {
+        details.push('approximate');
+    }
+    if (accuracy !== null) {
+        details.push(`±${Math.round(accuracy)} m`);
+    }
+    if (speed !== null) {
+        details.push(`${(speed * 3.6).toFixed(1)} km/h`);
+    }
+    if (altitude !== null) {
+        details.push(`${Math.round(altitude)} m altitude`);
+    }
+
+    const ageSeconds = Math.max(0, Math.round((Date.now() - timestamp) / 1000));
+    details.push(ageSeconds < 60 ? 'just now' : `${Math.round(ageSeconds / 60)} min ago`);
+    return `${name} - ${details.join(', ')}`;
+}
+
+// Markers go grey once their last update is too old (and tooltips show the new age)
+function updateMarkerStaleness() {
+    userMarkers.forEach((marker, userId) => updateMarkerAppearance(userId));
+}
+
+// Remove marker (and trail) for a user
+function removeUserMarker(userId) {
+    const marker = userMarkers.get(userId);
+    if (marker) {
+        marker.remove();
+        userMarkers.delete(userId);
+    }
+    const circle = accuracyCircles.get(userId);
+    if (circle) {
+        circle.remove();
+        accuracyCircles.delete(userId);
+    }
+    userLocations.delete(userId);
+    removeTrail(userId);
+}
+
+// Get or create the trail line for a user, in their avatar color
+function getTrail(userId) {
+    if (!map) return null;
+
+    if (!userTrails.has(userId)) {
+        const profile = userProfiles.get(userId);
+        userTrails.set(userId, {
+            line: map.addPolyline({
+                points: [],
+                color: userId === 'self' ? '#4285f4' : (profile ? profile.color : '#e53935'),
+                opacity: 0.7,
+                weight: 3
+            }),
+            points: []
+        });
+    }
+    return userTrails.get(userId);
+}
+
+// Replace a user's trail with their history from the server
+function setTrail(userId, points) {
+    const trail = getTrail(userId);
+    if (!trail) return;
+
+    trail.points = points.slice(-TRAIL_POINT_LIMIT).map(({ lat, lng }) => ({ lat, lng }));
+    trail.line.setPoints(trail.points);
+}
+
+function appendTrailPoint(userId, lat, lng) {
+    const trail = getTrail(userId);
+    if (!trail) return;
+
+    const last = trail.points[trail.points.length - 1];
+    if (last && last.lat === lat && last.lng === lng) return;
+
+    trail.points.push({ lat, lng });
+    if (trail.points.length > TRAIL_POINT_LIMIT) {
+        trail.points.shift();
+    }
+    trail.line.setPoints(trail.points);
+}
+
+function removeTrail(userId) {
+    const trail = userTrails.get(userId);
+    if (trail) {
+        trail.line.remove();
+        userTrails.delete(userId);
+    }
+}
+
+// Download location tracks (whole room or the user picked in the selector) from the server
+async function exportTracks(format) {
+    if (!isInRoom) {
+        updateStatus('Join a room to export its tracks', 'error');
+        return;
+    }
+
+    const params = new URLSearchParams({ format });
+    if (trackUserSelect.value) {
+        params.set('userId', trackUserSelect.value);
+    }
+
+    try {
+        const response = await fetch(`${SERVER_URL}/api/rooms/${encodeURIComponent(ROOM_ID)}/tracks?${params}`, {
+            headers: { Authorization: `Bearer ${localStorage.getItem(STORAGE_KEYS.identity)}` }
+        });
+        if (!response.ok) {
+            const { error } = await response.json();
+            throw new Error(error || `HTTP ${response.status}`);
+        }
+
+        // Save under the file name the server suggests
+        const disposition = response.headers.get('Content-Disposition') || '';
+        const match = disposition.match(/filename="([^"]+)"/);
+        const url = URL.createObjectURL(await response.blob());
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = match ? match[1] : `tracks.${format}`;
+        link.click();
+        URL.revokeObjectURL(url);
+    } catch (error) {
+        console.error('Error exporting tracks:', error);
+        updateStatus('Could not export tracks: ' + error.message, 'error');
+    }
+}
+
+// Keep the export selector in sync with the users in the room
+function updateTrackExportOptions() {
+    const selected = trackUserSelect.value;
+    trackUserSelect.textContent = '';
+    trackUserSelect.appendChild(new Option('Whole room', ''));
+    currentRoomUsers.forEach(userId => {
+        const label = userId === myUserId ? `${getUserName(userId)} (me)` : getUserName(userId);
+        trackUserSelect.appendChild(new Option(label, userId));
+    });
+    trackUserSelect.value = currentRoomUsers.has(selected) ? selected : '';
+}
+
+// ============================================================================
+// Replay
+// Plays back how everyone moved since the room was created, from the server's event log
+// (GET /api/rooms/:roomId/timeline). Replay markers and trails are drawn over the live map,
+// whose markers are dimmed meanwhile.
+// ============================================================================
+
+async function startReplay() {
+    if (!isInRoom || !map) {
+        updateStatus('Join a room to replay its activity', 'error');
+        return;
+    }
+
+    let events;
+    replayBtn.disabled = true;
+    try {
+        events = await fetchTimeline();
+    } catch (error) {
+        console.error('Error loading the room timeline:', error);
+        updateStatus('Could not load the room timeline: ' + error.message, 'error');
+        replayBtn.disabled = false;
+        return;
+    }
+
+    const locationTimes = events.filter(event => event.type === 'location').map(event => event.time);
+    if (locationTimes.length === 0) {
+        updateStatus('Nothing to replay yet - nobody has shared a location in this room', 'error');
+        replayBtn.disabled = false;
+        return;
+    }
+
+    const start = locationTimes[0];
+    const end = Math.max(locationTimes[locationTimes.length - 1], Date.now());
+    replay = {
+        start,
+        end,
+        time: start,
+        ...buildReplaySeries(events),
+        markers: new Map(), // Map<userId, marker>
+        trails: new Map(), // Map<userId, polyline>
+        timer: null
+    };
+
+    replaySlider.max = end - start;
+    replayPanel.style.display = 'flex';
+    userMarkers.forEach((marker, userId) => updateMarkerAppearance(userId));
+    renderReplayFrame();
+    playReplay();
+}
+
+// The whole timeline, a page at a time
+async function fetchTimeline() {
+    const events = [];
+    let since = 0;
+
+    for (;;) {
+        const params = new URLSearchParams({ types: 'join,leave,location,location-stop' });
+        if (since) {
+            params.set('since', since);
+        }
+        const response = await fetch(`${SERVER_URL}/api/rooms/${encodeURIComponent(ROOM_ID)}/timeline?${params}`, {
+            headers: { Authorization: `Bearer ${localStorage.getItem(STORAGE_KEYS.identity)}` }
+        });
+        if (!response.ok) {
+            const { error } = await response.json().catch(() => ({}));
+            throw new Error(error || `HTTP ${response.status}`);
+        }
+
+        const page = await response.json();
+        events.push(...page.events);
+        if (!page.truncated) {
+            return events;
+        }
+        since = page.events[page.events.length - 1].time + 1;
+    }
+}
+
+// Per user, where they were over time - null entries where they left or stopped sharing
+function buildReplaySeries(events) {
+    const series = new Map(); // Map<userId, [{time, location | null}]>
+    const profiles = new Map(); // Map<userId, {name, color}> - also for users who have left since
+
+    events.forEach(event => {
+        if (event.type === 'join') {
+            profiles.set(event.userId, { name: event.name, color: event.color });
+            return;
+        }
+        if (!series.has(event.userId)) {
+            series.set(event.userId, []);
+        }
+        series.get(event.userId).push({ time: event.time, location: event.type === 'location' ? event : null });
+    });
+    return { series, profiles };
+}
+
+// Someone stopped sharing (or now shares less precisely): the server has deleted their logged
+// positions, so an open replay drops them too
+function forgetReplayLocations(userId) {
+    const entries = replay && replay.series.get(userId);
+    if (!entries) return;
+
+    replay.series.set(userId, entries.filter(entry => !entry.location));
+    renderReplayFrame();
+}
+
+// Put every replay marker and trail where it was at replay.time
+function renderReplayFrame() {
+    replay.series.forEach((entries, userId) => {
+        // Positions since the user last left or stopped sharing
+        const points = [];
+        for (const { time, location } of entries) {
+            if (time > replay.time) break;
+            if (location) {
+                points.push(location);
+            } else {
+                points.length = 0;
+            }
+        }
+
+        let marker = replay.markers.get(userId);
+        let trail = replay.trails.get(userId);
+        if (points.length === 0) {
+            if (marker) marker.remove();
+            if (trail) trail.remove();
+            replay.markers.delete(userId);
+            replay.trails.delete(userId);
+            return;
+        }
+
+        const location = points[points.length - 1];
+        const position = { lat: location.lat, lng: location.lng };
+        const profile = replay.profiles.get(userId) || userProfiles.get(userId);
+        const color = profile ? profile.color : '#e53935';
+        const name = userId === myUserId ? 'You' : (profile ? profile.name : getUserName(userId));
+        const moving = location.heading !== null && location.speed !== null && location.speed >= MOVING_SPEED;
+
+        if (marker) {
+            marker.setPosition(position);
+        } else {
+            marker = map.addMarker(position);
+            replay.markers.set(userId, marker);
+        }
+        marker.setIcon({ shape: moving ? 'arrow' : 'dot', color, rotation: location.heading });
+        marker.setTitle(`${name} at ${new Date(location.time).toLocaleTimeString()}`);
+
+        if (trail) {
+            trail.setPoints(points);
+        } else {
+            replay.trails.set(userId, map.addPolyline({ points, color, weight: 3, opacity: 0.8 }));
+        }
+    });
+
+    replaySlider.value = replay.time - replay.start;
+    replayTimeLabel.textContent = new Date(replay.time).toLocaleString();
+}
+
+function playReplay() {
+    // At the end, play again from the start
+    if (replay.time >= replay.end) {
+        replay.time = replay.start;
+    }
+
+    clearInterval(replay.timer);
+    replay.timer = setInterval(() => {
+        replay.time = Math.min(replay.end, replay.time + REPLAY_TICK_MS * Number(replaySpeedSelect.value));
+        renderReplayFrame();
+        if (replay.time >= replay.end) {
+            pauseReplay();
+        }
+    }, REPLAY_TICK_MS);
+    replayPlayBtn.textContent = 'Pause';
+}
+
+function pauseReplay() {
+    clearInterval(replay.timer);
+    replay.timer = null;
+    replayPlayBtn.textContent = 'Play';
+}
+
+function seekReplay(offset) {
+    replay.time = replay.start + offset;
+    renderReplayFrame();
+}
+
+// Back to the live map
+function stopReplay() {
+    if (!replay) return;
+
+    pauseReplay();
+    replay.markers.forEach(marker => marker.remove());
+    replay.trails.forEach(trail => trail.remove());
+    replay = null;
+
+    replayPanel.style.display = 'none';
+    replayBtn.disabled = false;
+    userMarkers.forEach((marker, userId) => updateMarkerAppearance(userId));
+}
+
+// ============================================================================
+// Geofences
+// ============================================================================
+
+// Show a room geofence on the map and in the list
+function addGeofence(geofence) {
+    removeGeofence(geofence.id);
+
+    let overlay = null;
+    if (map) {
+        const style = { color: GEOFENCE_COLOR, weight: 2, fillOpacity: 0.15 };
+        overlay = geofence.shape === 'circle'
+            ? map.addCircle({ ...style, center: geofence.center, radius: geofence.radius })
+            : map.addPolygon({ ...style, points: geofence.points });
+    }
+
+    geofences.set(geofence.id, { geofence, overlay });
+    updateGeofenceList();
+}
+
+function removeGeofence(geofenceId) {
+    const entry = geofences.get(geofenceId);
+    if (!entry) return;
+
+    if (entry.overlay) {
+        entry.overlay.remove();
+    }
+    geofences.delete(geofenceId);
+    updateGeofenceList();
+}
+
+function clearGeofences() {
+    Array.from(geofences.keys()).forEach(geofenceId => removeGeofence(geofenceId));
+}
+
+// Zones in the room; their creator and the room owner can delete them
+function updateGeofenceList() {
+    geofenceListItems.innerHTML = '';
+    geofenceListDiv.style.display = geofences.size > 0 ? 'block' : 'none';
+
+    geofences.forEach(({ geofence }) => {
+        const li = document.createElement('li');
+        const size = geofence.shape === 'circle'
+            ? `${Math.round(geofence.radius)} m radius`
+            : `${geofence.points.length} corners`;
+        li.appendChild(document.createTextNode(`${geofence.name} (${size})`));
+
+        if (geofence.createdBy === myUserId || roomOwnerId === myUserId) {
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'small danger user-actions';
+            deleteBtn.textContent = 'Delete';
+            deleteBtn.addEventListener('click', () => {
+                socket.emit('geofence-delete', { roomId: ROOM_ID, geofenceId: geofence.id });
+            });
+            li.appendChild(deleteBtn);
+        }
+
+        geofenceListItems.appendChild(li);
+    });
+}
+
+// "Add Zone" starts drawing, pressing it again cancels
+// Circles: click the center, then a point on the edge. Polygons: click each corner, then Finish
+function toggleGeofenceDrawing() {
+    if (geofenceDrawing) {
+        stopGeofenceDrawing();
+        updateStatus('Zone drawing cancelled', '');
+        return;
+    }
+    if (!isInRoom || !map) {
+        updateStatus('Join a room to add zones to its map', 'error');
+        return;
+    }
+
+    geofenceDrawing = { shape: geofenceShapeSelect.value, points: [], preview: null };
+    drawGeofenceBtn.textContent = 'Cancel';
+    geofenceShapeSelect.disabled = true;
+    map.setCursor('crosshair');
+    updateStatus(geofenceDrawing.shape === 'circle'
+        ? 'Click the center of the zone on the map'
+        : 'Click the corners of the zone on the map, then press Finish', '');
+}
+
+function stopGeofenceDrawing() {
+    if (geofenceDrawing && geofenceDrawing.preview) {
+        geofenceDrawing.preview.remove();
+    }
+    geofenceDrawing = null;
+    drawGeofenceBtn.textContent = 'Add Zone';
+    finishGeofenceBtn.style.display = 'none';
+    geofenceShapeSelect.disabled = false;
+    if (map) {
+        map.setCursor(null);
+    }
+}
+
+function handleGeofenceMapClick(point) {
+    if (!geofenceDrawing) return;
+
+    const drawing = geofenceDrawing;
+    const previewStyle = { color: GEOFENCE_COLOR, weight: 2, opacity: 0.6, fillOpacity: 0.1 };
+
+    if (drawing.shape === 'circle') {
+        if (drawing.points.length === 0) {
+            drawing.points.push(point);
+            drawing.preview = map.addCircle({ ...previewStyle, center: point, radius: 0 });
+            updateStatus('Click the edge of the zone', '');
+        } else {
+            finishGeofenceDrawing(distanceMeters(drawing.points[0], point));
+        }
+        return;
+    }
+
+    drawing.points.push(point);
+    if (!drawing.preview) {
+        drawing.preview = map.addPolygon({ ...previewStyle, points: drawing.points });
+    } else {
+        drawing.preview.setPoints(drawing.points);
+    }
+    finishGeofenceBtn.style.display = drawing.points.length >= 3 ? 'inline-block' : 'none';
+}
+
+// Circle preview follows the mouse until the edge is clicked
+function updateGeofencePreview(position) {
+    if (!geofenceDrawing || geofenceDrawing.shape !== 'circle' || !geofenceDrawing.preview) return;
+
+    geofenceDrawing.preview.setRadius(distanceMeters(geofenceDrawing.points[0], position));
+}
+
+// Name the zone and send it to the server (it comes back as geofence-created for everyone)
+function finishGeofenceDrawing(radius) {
+    const { shape, points } = geofenceDrawing;
+    stopGeofenceDrawing();
+
+    const name = window.prompt('Name this zone:', shape === 'circle' ? 'Meeting point' : 'Site');
+    if (!name || !name.trim()) {
+        updateStatus('Zone drawing cancelled', '');
+        return;
+    }
+
+    socket.emit('geofence-create', shape === 'circle'
+        ? { roomId: ROOM_ID, name: name.trim().slice(0, 64), shape, center: points[0], radius: Math.round(radius) }
+        : { roomId: ROOM_ID, name: name.trim().slice(0, 64), shape, points });
+}
+
+// Great-circle distance in meters (same formula as the server uses)
+function distanceMeters(a, b) {
+    const toRadians = (degrees) => (degrees * Math.PI) / 180;
+    const dLat = toRadians(b.lat - a.lat);
+    const dLng = toRadians(b.lng - a.lng);
+    const h = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_M * Math.asin(Math.sqrt(h));
+}
+
+// Short-lived notification in the corner of the screen
+function showToast(message) {
+    const toast = document.createElement('div');
+    toast.className = 'toast';
+    toast.textContent = message;
+    toastContainer.appendChild(toast);
+    setTimeout(() => toast.remove(), TOAST_DURATION_MS);
+}
+
+// ============================================================================
+// Chat
+// ============================================================================
+
+function sendChatMessage() {
+    const text = chatInput.value.trim();
+    if (!text || !isInRoom || !socket || !socket.connected) return;
+
+    socket.emit('chat-message', { roomId: ROOM_ID, text });
+    chatInput.value = '';
+}
+
+// Append a message to the chat panel
+// Text comes from other users, so it is only ever inserted as text nodes (links as <a> elements)
+function renderChatMessage({ userId, name, color, text, timestamp }) {
+    const li = document.createElement('li');
+    if (userId === myUserId) {
+        li.className = 'self';
+    }
+
+    const time = document.createElement('span');
+    time.className = 'chat-time';
+    time.textContent = new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+    const sender = document.createElement('span');
+    sender.className = 'chat-sender';
+    sender.style.color = color;
+    sender.textContent = name;
+
+    li.appendChild(time);
+    li.appendChild(sender);
+    appendLinkifiedText(li, text);
+
+    // Only auto-scroll if the user hasn't scrolled up to read older messages
+    const atBottom = chatMessagesList.scrollHeight - chatMessagesList.scrollTop - chatMessagesList.clientHeight < 40;
+    chatMessagesList.appendChild(li);
+    if (atBottom || userId === myUserId) {
+        chatMessagesList.scrollTop = chatMessagesList.scrollHeight;
+    }
+}
+
+// Turn http(s) URLs in the text into clickable links
+function appendLinkifiedText(parent, text) {
+    const urlPattern = /https?:\/\/[^\s]+/g;
+    let lastIndex = 0;
+    let match;
+
+    while ((match = urlPattern.exec(text)) !== null) {
+        parent.appendChild(document.createTextNode(text.slice(lastIndex, match.index)));
+
+        const link = document.createElement('a');
+        link.href = match[0];
+        link.textContent = match[0];
+        link.target = '_blank';
+        link.rel = 'noopener noreferrer';
+        parent.appendChild(link);
+
+        lastIndex = match.index + match[0].length;
+    }
+    parent.appendChild(document.createTextNode(text.slice(lastIndex)));
+}
+
+function clearChat() {
+    chatMessagesList.innerHTML = '';
+    unreadCount = 0;
+    updateUnreadBadge();
+}
+
+function updateUnreadBadge() {
+    chatUnreadBadge.textContent = unreadCount > 99 ? '99+' : String(unreadCount);
+    chatUnreadBadge.style.display = unreadCount > 0 ? 'inline-block' : 'none';
+}
+
+function setChatEnabled(enabled) {
+    chatInput.disabled = !enabled;
+    chatSendBtn.disabled = !enabled;
+    chatInput.placeholder = enabled ? 'Type a message...' : 'Join a room to chat';
+}
+
+// ============================================================================
+// Recording
+// Records the call as everyone here sees it: the video tiles composited onto a canvas and
+// every audio track mixed through Web Audio, encoded by MediaRecorder. The file never leaves
+// the browser - the server only tells the room that a recording is running.
+// ============================================================================
+
+function startRecording() {
+    if (!isInRoom) {
+        updateStatus('Please join a room first', 'error');
+        return;
+    }
+
+    const mimeType = typeof MediaRecorder !== 'undefined' &&
+        RECORDING_MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+    const context = getAudioContext();
+    if (!mimeType || !context) {
+        updateStatus('Recording is not supported in this browser', 'error');
+        return;
+    }
+
+    const canvas = document.createElement('canvas');
+    canvas.width = RECORDING_WIDTH;
+    canvas.height = RECORDING_HEIGHT;
+    const audioDestination = context.createMediaStreamDestination();
+    const stream = new MediaStream([
+        ...canvas.captureStream(RECORDING_FPS).getVideoTracks(),
+        ...audioDestination.stream.getAudioTracks()
+    ]);
+
+    let mediaRecorder;
+    try {
+        mediaRecorder = new MediaRecorder(stream, { mimeType });
+    } catch (error) {
+        console.error('Error creating MediaRecorder:', error);
+        updateStatus('Could not start recording: ' + error.message, 'error');
+        return;
+    }
+
+    const chunks = [];
+    const fileName = `${ROOM_ID}-${new Date().toISOString().replace(/[:.]/g, '-')}.webm`;
+    mediaRecorder.ondataavailable = ({ data }) => {
+        if (data.size > 0) {
+            chunks.push(data);
+        }
+    };
+    mediaRecorder.onstop = () => finishRecording(chunks, fileName);
+    mediaRecorder.onerror = ({ error }) => {
+        console.error('Recording error:', error);
+        updateStatus('Recording stopped: ' + (error ? error.message : 'encoder error'), 'error');
+        stopRecording();
+    };
+
+    recorder = {
+        mediaRecorder,
+        canvas,
+        context: canvas.getContext('2d'),
+        audioDestination,
+        audioSources: new Map(), // Map<trackId, MediaStreamAudioSourceNode>
+        drawTimer: null
+    };
+
+    // A timer rather than requestAnimationFrame, which stops while the tab is in the background
+    drawRecordingFrame();
+    recorder.drawTimer = setInterval(drawRecordingFrame, 1000 / RECORDING_FPS);
+    mediaRecorder.start(1000); // Collect data every second instead of all at the end
+
+    emitRecordingState();
+    updateRecordingControls();
+    updateStatus('Recording the call', 'success');
+}
+
+function toggleRecordingPause() {
+    if (!recorder) return;
+
+    if (recorder.mediaRecorder.state === 'paused') {
+        recorder.mediaRecorder.resume();
+    } else {
+        recorder.mediaRecorder.pause();
+    }
+    emitRecordingState();
+    updateRecordingControls();
+}
+
+function stopRecording() {
+    if (!recorder) return;
+
+    const { mediaRecorder, drawTimer, audioSources } = recorder;
+    recorder = null;
+    clearInterval(drawTimer);
+    if (mediaRecorder.state !== 'inactive') {
+        mediaRecorder.stop(); // onstop puts the file together
+    }
+    audioSources.forEach(source => source.disconnect());
+    mediaRecorder.stream.getTracks().forEach(track => track.stop());
+
+    emitRecordingState();
+    updateRecordingControls();
+}
+
+// Offer the finished recording for download (the previous one is released)
+function finishRecording(chunks, fileName) {
+    if (recordingUrl) {
+        URL.revokeObjectURL(recordingUrl);
+    }
+    recordingUrl = URL.createObjectURL(new Blob(chunks, { type: 'video/webm' }));
+    recordingDownloadLink.href = recordingUrl;
+    recordingDownloadLink.download = fileName;
+    recordingDownloadLink.style.display = 'inline-block';
+    updateStatus('Recording finished - click "Download Recording" to save it', 'success');
+}
+
+// Lay the tiles out in a grid, each video scaled to fit its cell
+function drawRecordingFrame() {
+    if (!recorder) return;
+
+    const { context } = recorder;
+    syncRecordingAudio();
+
+    context.fillStyle = '#000';
+    context.fillRect(0, 0, RECORDING_WIDTH, RECORDING_HEIGHT);
+
+    const tiles = getRecordingTiles();
+    if (tiles.length === 0) return;
+
+    const columns = Math.ceil(Math.sqrt(tiles.length));
+    const rows = Math.ceil(tiles.length / columns);
+    const cellWidth = RECORDING_WIDTH / columns;
+    const cellHeight = RECORDING_HEIGHT / rows;
+
+    tiles.forEach((tile, index) => {
+        const x = (index % columns) * cellWidth;
+        const y = Math.floor(index / columns) * cellHeight;
+        drawRecordingTile(context, tile, x + 2, y + 2, cellWidth - 4, cellHeight - 4);
+    });
+}
+
+// Our own video (once the call is started) and every remote tile
+function getRecordingTiles() {
+    const tiles = [];
+    if (localStream) {
+        tiles.push({ video: localVideo, label: `${getUserName(myUserId)} (me)`, cameraOff: false });
+    }
+    remoteVideos.forEach(({ videoElement }, userId) => {
+        const media = remoteMediaStates.get(userId) || { audio: true, video: true };
+        tiles.push({
+            video: videoElement,
+            label: screenSharingUsers.has(userId) ? `${getUserName(userId)} (screen)` : getUserName(userId),
+            cameraOff: !media.video && !screenSharingUsers.has(userId)
+        });
+    });
+    return tiles;
+}
+
+function drawRecordingTile(context, { video, label, cameraOff }, x, y, width, height) {
+    context.fillStyle = '#263238';
+    context.fillRect(x, y, width, height);
+
+    if (!cameraOff && video.readyState >= HTMLMediaElement.HAVE_CURRENT_DATA && video.videoWidth > 0) {
+        const scale = Math.min(width / video.videoWidth, height / video.videoHeight);
+        const drawWidth = video.videoWidth * scale;
+        const drawHeight = video.videoHeight * scale;
+        context.drawImage(video, x + (width - drawWidth) / 2, y + (height - drawHeight) / 2, drawWidth, drawHeight);
+    }
+
+    // Name label, like the one on the tiles
+    context.font = '14px Arial';
+    const labelWidth = context.measureText(label).width + 16;
+    context.fillStyle = 'rgba(0, 0, 0, 0.7)';
+    context.fillRect(x + 8, y + 8, labelWidth, 24);
+    context.fillStyle = 'white';
+    context.textBaseline = 'middle';
+    context.fillText(label, x + 16, y + 20);
+}
+
+// Keep the mix in step with the call: users come and go, tracks get replaced
+function syncRecordingAudio() {
+    const tracks = localStream ? localStream.getAudioTracks() : [];
+    remoteVideos.forEach(({ videoElement }) => {
+        if (videoElement.srcObject) {
+            tracks.push(...videoElement.srcObject.getAudioTracks());
+        }
+    });
+    const liveTrackIds = new Set(tracks.filter(track => track.readyState === 'live').map(track => track.id));
+
+    recorder.audioSources.forEach((source, trackId) => {
+        if (!liveTrackIds.has(trackId)) {
+            source.disconnect();
+            recorder.audioSources.delete(trackId);
+        }
+    });
+    tracks.forEach(track => {
+        if (!liveTrackIds.has(track.id) || recorder.audioSources.has(track.id)) return;
+
+        const source = audioContext.createMediaStreamSource(new MediaStream([track]));
+        source.connect(recorder.audioDestination);
+        recorder.audioSources.set(track.id, source);
+    });
+}
+
+function getRecordingState() {
+    if (!recorder) return 'stopped';
+    return recorder.mediaRecorder.state === 'paused' ? 'paused' : 'recording';
+}
+
+function emitRecordingState() {
+    if (!isInRoom || !socket || !socket.connected) return;
+    socket.emit('recording-state', { roomId: ROOM_ID, state: getRecordingState() });
+}
+
+// What another user reported (room-state or recording-state)
+function setUserRecording(userId, state) {
+    if (userId === myUserId) return;
+
+    if (state === 'recording' || state === 'paused') {
+        recordingUsers.set(userId, state);
+    } else {
+        recordingUsers.delete(userId);
+    }
+}
+
+function updateRecordingControls() {
+    const state = getRecordingState();
+    recordBtn.textContent = state === 'stopped' ? 'Record' : 'Stop Recording';
+    recordBtn.classList.toggle('danger', state !== 'stopped');
+    pauseRecordingBtn.disabled = state === 'stopped';
+    pauseRecordingBtn.textContent = state === 'paused' ? 'Resume Recording' : 'Pause Recording';
+    updateRecordingIndicator();
+}
+
+// Everyone in the room sees who is recording
+function updateRecordingIndicator() {
+    const recorders = [];
+    const ownState = getRecordingState();
+    if (ownState !== 'stopped') {
+        recorders.push(ownState === 'paused' ? 'you (paused)' : 'you');
+    }
+    recordingUsers.forEach((state, userId) => {
+        recorders.push(state === 'paused' ? `${getUserName(userId)} (paused)` : getUserName(userId));
+    });
+
+    recordingIndicator.style.display = recorders.length > 0 ? 'block' : 'none';
+    recordingIndicator.textContent = `● Recording: ${recorders.join(', ')}`;
+}
+
+// ============================================================================
+// File Transfer
+// Files go straight to the recipient over a data channel of its own (one per file and
+// recipient), so they never pass through the server. On each channel:
+//   sender   -> { type: 'offer', id, name, size, mimeType, sha256 }
+//   receiver -> { type: 'accept', offset }   (offset > 0 when resuming after a reconnect)
+//   sender   -> binary chunks from offset on, then { type: 'done' }
+//   receiver -> { type: 'verified' } or { type: 'corrupt' } once it has checked the SHA-256
+// ============================================================================
+
+// Send dropped or picked files to the chosen user, or to everyone we have a call with
+async function sendFiles(files) {
+    if (!isInRoom) {
+        updateStatus('Please join a room first', 'error');
+        return;
+    }
+    if (roomMode === 'sfu') {
+        updateStatus('File transfer needs direct connections, which large rooms do not use', 'error');
+        return;
+    }
+
+    const recipients = fileTargetSelect.value ? [fileTargetSelect.value] : Array.from(peerConnections.keys());
+    if (recipients.length === 0) {
+        updateStatus('Nobody to send files to yet', 'error');
+        return;
+    }
+
+    for (const file of files) {
+        if (file.size > MAX_FILE_SIZE) {
+            updateStatus(`${file.name} is too large (max ${formatBytes(MAX_FILE_SIZE)})`, 'error');
+            continue;
+        }
+
+        let sha256;
+        try {
+            sha256 = await hashBlob(file);
+        } catch (error) {
+            console.error('Error reading file:', error);
+            updateStatus(`Could not read ${file.name}: ${error.message}`, 'error');
+            continue;
+        }
+
+        recipients.forEach(userId => {
+            const transfer = {
+                id: crypto.randomUUID(),
+                userId,
+                outgoing: true,
+                file,
+                name: file.name,
+                size: file.size,
+                mimeType: file.type,
+                sha256,
+                bytes: 0,
+                status: 'waiting',
+                channel: null
+            };
+            outgoingTransfers.set(transfer.id, transfer);
+            renderFileTransfer(transfer);
+            openTransferChannel(transfer);
+        });
+    }
+}
+
+// Hex SHA-256 of a file or blob
+async function hashBlob(blob) {
+    const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// Open a channel for an outgoing transfer (again, after an interruption) - the receiver
+// answers the offer with how much it already has
+function openTransferChannel(transfer) {
+    const peerConnection = peerConnections.get(transfer.userId);
+    if (!peerConnection) {
+        setTransferStatus(transfer, 'interrupted');
+        return;
+    }
+
+    // Adding the first channel renegotiates the connection (onnegotiationneeded)
+    const channel = peerConnection.createDataChannel(`file:${transfer.id}`, { ordered: true });
+    channel.binaryType = 'arraybuffer';
+    channel.bufferedAmountLowThreshold = FILE_BUFFER_LOW;
+    transfer.channel = channel;
+    setTransferStatus(transfer, 'waiting');
+
+    channel.onopen = () => {
+        const { id, name, size, mimeType, sha256 } = transfer;
+        channel.send(JSON.stringify({ type: 'offer', id, name, size, mimeType, sha256 }));
+    };
+
+    channel.onmessage = ({ data }) => {
+        const message = parseTransferMessage(data);
+        if (!message) return;
+
+        if (message.type === 'accept') {
+            sendFileChunks(transfer, channel, message.offset);
+        } else if (message.type === 'verified' || message.type === 'corrupt') {
+            transfer.file = null;
+            setTransferStatus(transfer, message.type === 'verified' ? 'done' : 'failed');
+            channel.close();
+        }
+    };
+
+    channel.onclose = () => {
+        if (transfer.channel === channel && !isTransferFinished(transfer)) {
+            transfer.channel = null;
+            setTransferStatus(transfer, 'interrupted');
+        }
+    };
+}
+
+// Stream the file from offset on, pausing whenever the channel's send buffer fills up
+async function sendFileChunks(transfer, channel, offset) {
+    transfer.bytes = Math.min(Math.max(0, Math.floor(offset) || 0), transfer.size);
+    setTransferStatus(transfer, 'sending');
 
-async function startLocalStream() {
     try {
-        // Check if getUserMedia is available
-        if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
-            // Fallback for older browsers
-            const getUserMedia = navigator.mediaDevices?.getUserMedia ||
-                                 navigator.getUserMedia ||
-                                 navigator.webkitGetUserMedia ||
-                                 navigator.mozGetUserMedia ||
-                                 navigator.msGetUserMedia;
+        while (transfer.bytes < transfer.size) {
+            // Interrupted - a new channel picks up from wherever the receiver got to
+            if (transfer.channel !== channel || channel.readyState !== 'open') return;
 
-            if (!getUserMedia) {
-                throw new Error('getUserMedia is not supported in this browser');
+            if (channel.bufferedAmount > FILE_BUFFER_HIGH) {
+                await waitForBufferDrain(channel);
+                continue;
             }
 
-            // Check if page is served over HTTP/HTTPS (required for getUserMedia)
-            if (window.location.protocol === 'file:') {
-                throw new Error('Page must be served over HTTP/HTTPS. Please access via http://localhost:3000');
+            const chunk = await transfer.file.slice(transfer.bytes, transfer.bytes + FILE_CHUNK_SIZE).arrayBuffer();
+            channel.send(chunk);
+            transfer.bytes += chunk.byteLength;
+            updateTransferProgress(transfer);
+        }
+
+        channel.send(JSON.stringify({ type: 'done' }));
+        setTransferStatus(transfer, 'verifying');
+    } catch (error) {
+        // The channel closed under us (onclose marks the transfer interrupted)
+        console.warn(`Sending ${transfer.name} to ${getUserName(transfer.userId)} stopped:`, error);
+    }
+}
+
+function waitForBufferDrain(channel) {
+    return new Promise(resolve => {
+        const done = () => {
+            channel.removeEventListener('bufferedamountlow', done);
+            channel.removeEventListener('close', done);
+            resolve();
+        };
+        channel.addEventListener('bufferedamountlow', done);
+        channel.addEventListener('close', done);
+    });
+}
+
+// A peer opened a channel to send us a file
+function receiveFileChannel(userId, channel) {
+    channel.binaryType = 'arraybuffer';
+    let transfer = null;
+
+    channel.onmessage = ({ data }) => {
+        if (typeof data !== 'string') {
+            if (!transfer || transfer.channel !== channel || transfer.status !== 'receiving') return;
+            if (transfer.bytes + data.byteLength > transfer.size) {
+                failIncomingTransfer(transfer, channel);
+                return;
             }
+            transfer.chunks.push(data);
+            transfer.bytes += data.byteLength;
+            updateTransferProgress(transfer);
+            return;
+        }
 
-            // Use fallback API (returns a Promise in modern browsers, callback in old ones)
-            return new Promise((resolve, reject) => {
-                getUserMedia.call(navigator, {
-                    video: true,
-                    audio: true
-                }, (stream) => {
-                    localStream = stream;
-                    localVideo.srcObject = localStream;
-                    updateStatus('Camera and microphone enabled', 'success');
-                    resolve(true);
-                }, (error) => {
-                    reject(error);
-                });
+        const message = parseTransferMessage(data);
+        if (!message) return;
+
+        if (message.type === 'offer') {
+            transfer = acceptFileOffer(userId, message, channel);
+        } else if (message.type === 'done' && transfer && transfer.channel === channel && transfer.status === 'receiving') {
+            verifyIncomingTransfer(transfer, channel).catch(error => {
+                console.error('Error verifying file:', error);
+                failIncomingTransfer(transfer, channel);
             });
         }
+    };
 
-        // Request user media (modern API)
-        localStream = await navigator.mediaDevices.getUserMedia({
-            video: true,
-            audio: true
-        });
+    channel.onclose = () => {
+        // A resumed transfer may already be running on a newer channel
+        if (transfer && transfer.channel === channel && transfer.status === 'receiving') {
+            transfer.channel = null;
+            setTransferStatus(transfer, 'interrupted');
+        }
+    };
+}
 
-        // Display local video
-        localVideo.srcObject = localStream;
-        updateStatus('Camera and microphone enabled', 'success');
+// Start receiving a file, or continue one that was interrupted - returns the transfer, or null if refused
+function acceptFileOffer(userId, offer, channel) {
+    const key = `${userId}:${offer.id}`;
+    let transfer = incomingTransfers.get(key);
 
-        // Now that we have local stream, create peer connections with all existing users
-        if (isInRoom && currentRoomUsers.size > 1) {
-            // Get all other users (excluding ourselves)
-            const otherUsers = Array.from(currentRoomUsers).filter(id => id !== socket.id);
-            for (const userId of otherUsers) {
-                try {
-                    await createPeerConnection(userId);
-                    await createOffer(userId);
-                } catch (error) {
-                    console.error('Error creating connection with', userId, error);
-                }
-            }
+    if (!transfer) {
+        const valid = typeof offer.id === 'string' && typeof offer.name === 'string' &&
+            Number.isInteger(offer.size) && offer.size >= 0 && offer.size <= MAX_FILE_SIZE &&
+            typeof offer.sha256 === 'string';
+        if (!valid) {
+            console.warn('Refusing invalid file offer from', userId);
+            channel.close();
+            return null;
         }
 
-        return true;
+        transfer = {
+            id: offer.id,
+            userId,
+            outgoing: false,
+            name: offer.name.slice(0, 255),
+            size: offer.size,
+            mimeType: typeof offer.mimeType === 'string' ? offer.mimeType : '',
+            sha256: offer.sha256,
+            chunks: [],
+            bytes: 0,
+            status: 'receiving',
+            channel: null,
+            url: null
+        };
+        incomingTransfers.set(key, transfer);
+        renderFileTransfer(transfer);
+        showToast(`${getUserName(userId)} is sending you ${transfer.name}`);
+    } else if (transfer.status === 'done') {
+        // We verified it, but the sender never heard back before the connection dropped
+        sendTransferMessage(channel, { type: 'verified' });
+        return null;
+    } else if (transfer.status === 'verifying') {
+        // Still hashing what we have - the sender will offer again on its next reconnect
+        channel.close();
+        return null;
+    }
+
+    transfer.channel = channel;
+    setTransferStatus(transfer, 'receiving');
+    sendTransferMessage(channel, { type: 'accept', offset: transfer.bytes });
+    return transfer;
+}
+
+async function verifyIncomingTransfer(transfer, channel) {
+    setTransferStatus(transfer, 'verifying');
+
+    const blob = new Blob(transfer.chunks, { type: transfer.mimeType });
+    const sha256 = transfer.bytes === transfer.size ? await hashBlob(blob) : null;
+    if (sha256 !== transfer.sha256) {
+        failIncomingTransfer(transfer, channel);
+        return;
+    }
+
+    transfer.chunks = [];
+    transfer.url = URL.createObjectURL(blob);
+    setTransferStatus(transfer, 'done');
+    sendTransferMessage(channel, { type: 'verified' });
+    showToast(`Received ${transfer.name} from ${getUserName(transfer.userId)}`);
+}
+
+function failIncomingTransfer(transfer, channel) {
+    console.error(`${transfer.name} from ${getUserName(transfer.userId)} failed the integrity check`);
+    transfer.chunks = [];
+    transfer.bytes = 0;
+    setTransferStatus(transfer, 'failed');
+    sendTransferMessage(channel, { type: 'corrupt' });
+}
+
+function sendTransferMessage(channel, message) {
+    if (channel.readyState === 'open') {
+        channel.send(JSON.stringify(message));
+    }
+}
+
+function parseTransferMessage(data) {
+    if (typeof data !== 'string') return null;
+    try {
+        const message = JSON.parse(data);
+        return message && typeof message.type === 'string' ? message : null;
     } catch (error) {
-        console.error('Error accessing media devices:', error);
-        
-        let errorMessage = error.message;
-        if (!navigator.mediaDevices) {
-            errorMessage = 'MediaDevices API not available. Make sure you access the page via http://localhost:3000 (not file://)';
-        } else if (window.location.protocol === 'file:') {
-            errorMessage = 'Page must be served over HTTP/HTTPS. Please access via http://localhost:3000';
-        }
-        
-        updateStatus('Error accessing camera/microphone: ' + errorMessage, 'error');
-        return false;
+        console.warn('Ignoring malformed file transfer message');
+        return null;
     }
 }
 
-// ============================================================================
-// Google Maps Integration
-// ============================================================================
+function isTransferFinished(transfer) {
+    return transfer.status === 'done' || transfer.status === 'failed';
+}
 
-// Initialize Google Map (called by Google Maps API callback)
-window.initMap = function() {
-    // Default center (can be user's location or a default)
-    const defaultCenter = { lat: 37.7749, lng: -122.4194 }; // San Francisco
+// The connection with a user is up (again) - continue whatever we were sending them
+function resumeFileTransfers(userId) {
+    outgoingTransfers.forEach(transfer => {
+        if (transfer.userId === userId && transfer.status === 'interrupted') {
+            openTransferChannel(transfer);
+        }
+    });
+}
+
+// The connection with a user closed - its channels go with it without firing onclose
+function interruptFileTransfers(userId) {
+    [...outgoingTransfers.values(), ...incomingTransfers.values()].forEach(transfer => {
+        if (transfer.userId !== userId || isTransferFinished(transfer) || transfer.status === 'interrupted') return;
+        // A received file being hashed needs nothing more from the sender
+        if (!transfer.outgoing && transfer.status === 'verifying') return;
 
-    map = new google.maps.Map(document.getElementById('map'), {
-        zoom: 15,
-        center: defaultCenter,
-        mapTypeId: 'roadmap'
+        transfer.channel = null;
+        setTransferStatus(transfer, 'interrupted');
     });
+}
 
-    console.log('Google Map initialized');
+// Leaving the room: drop unfinished transfers, keep received files available for download
+function discardFileTransfers() {
+    outgoingTransfers.forEach(transfer => transfer.element.item.remove());
+    outgoingTransfers.clear();
 
-    // Start watching user's position
-    startLocationTracking();
-};
+    incomingTransfers.forEach((transfer, key) => {
+        if (transfer.status !== 'done') {
+            transfer.element.item.remove();
+            incomingTransfers.delete(key);
+        }
+    });
+}
 
-// Start tracking user's location
-function startLocationTracking() {
-    if (!navigator.geolocation) {
-        updateStatus('Geolocation not supported by browser', 'error');
-        return;
-    }
+// Add a transfer to the list (names come from other users - textContent only)
+function renderFileTransfer(transfer) {
+    const item = document.createElement('li');
+    const label = document.createElement('span');
+    label.className = 'file-name';
+    label.textContent = `${transfer.outgoing ? 'To' : 'From'} ${getUserName(transfer.userId)}: ` +
+        `${transfer.name} (${formatBytes(transfer.size)})`;
 
-    const options = {
-        enableHighAccuracy: true,
-        timeout: 5000,
-        maximumAge: 0
-    };
+    const progress = document.createElement('progress');
+    progress.max = transfer.size || 1;
 
-    watchPositionId = navigator.geolocation.watchPosition(
-        (position) => {
-            const { latitude: lat, longitude: lng } = position.coords;
-            console.log('Current location:', lat, lng);
+    const status = document.createElement('span');
+    status.className = 'file-status';
 
-            // Update map center to user's location (first time)
-            if (map && !userMarkers.has('self')) {
-                map.setCenter({ lat, lng });
-                addOrUpdateUserMarker('self', lat, lng, true); // true = is self
-            } else if (userMarkers.has('self')) {
-                addOrUpdateUserMarker('self', lat, lng, true);
-            }
+    item.append(label, progress, status);
+    fileTransferList.prepend(item);
+    transfer.element = { item, progress, status };
+    updateTransferProgress(transfer);
+}
 
-            // Emit location update to server (only if in a room)
-            if (socket && socket.connected && isInRoom && ROOM_ID) {
-                socket.emit('location-update', {
-                    roomId: ROOM_ID,
-                    lat,
-                    lng
-                });
-            }
-        },
-        (error) => {
-            console.error('Geolocation error:', error);
-            updateStatus('Error getting location: ' + error.message, 'error');
-        },
-        options
-    );
+function setTransferStatus(transfer, status) {
+    transfer.status = status;
+    updateTransferProgress(transfer);
 }
 
-// Add or update marker for a user
-function addOrUpdateUserMarker(userId, lat, lng, isSelf = false) {
-    if (!map) return;
+const TRANSFER_STATUS_TEXT = {
+    waiting: 'Waiting for the connection...',
+    verifying: 'Checking integrity...',
+    interrupted: 'Interrupted - resumes when the connection is back',
+    failed: 'Failed the integrity check'
+};
 
-    const marker = userMarkers.get(userId);
+function updateTransferProgress(transfer) {
+    const { item, progress, status } = transfer.element;
+    progress.value = transfer.status === 'done' ? progress.max : transfer.bytes;
+    item.className = transfer.status;
 
-    if (marker) {
-        // Update existing marker position smoothly
-        marker.setPosition({ lat, lng });
+    if (transfer.status === 'done' && !transfer.outgoing) {
+        const link = document.createElement('a');
+        link.href = transfer.url;
+        link.download = transfer.name;
+        link.textContent = 'Save';
+        status.replaceChildren(link);
+    } else if (transfer.status === 'done') {
+        status.textContent = 'Delivered';
+    } else if (transfer.status === 'sending' || transfer.status === 'receiving') {
+        status.textContent = `${transfer.size ? Math.floor(transfer.bytes / transfer.size * 100) : 100}%`;
     } else {
-        // Create new marker
-        const newMarker = new google.maps.Marker({
-            position: { lat, lng },
-            map: map,
-            title: isSelf ? 'You' : `User ${userId.substring(0, 8)}`,
-            icon: isSelf ? {
-                url: 'http://maps.google.com/mapfiles/ms/icons/blue-dot.png'
-            } : {
-                url: 'http://maps.google.com/mapfiles/ms/icons/red-dot.png'
-            },
-            animation: google.maps.Animation.DROP
-        });
-
-        userMarkers.set(userId, newMarker);
+        status.textContent = TRANSFER_STATUS_TEXT[transfer.status];
     }
 }
 
-// Remove marker for a user
-function removeUserMarker(userId) {
-    const marker = userMarkers.get(userId);
-    if (marker) {
-        marker.setMap(null);
-        userMarkers.delete(userId);
+// Keep the recipient selector in sync with the users in the room
+function updateFileTargetOptions() {
+    const selected = fileTargetSelect.value;
+    fileTargetSelect.textContent = '';
+    fileTargetSelect.appendChild(new Option('Everyone', ''));
+    currentRoomUsers.forEach(userId => {
+        if (userId !== myUserId) {
+            fileTargetSelect.appendChild(new Option(getUserName(userId), userId));
+        }
+    });
+    fileTargetSelect.value = currentRoomUsers.has(selected) && selected !== myUserId ? selected : '';
+}
+
+// 1536 -> "1.5 KB"
+function formatBytes(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
     }
+    return `${unit === 0 ? value : value.toFixed(1)} ${units[unit]}`;
 }
 
 // ============================================================================
@@ -766,22 +3838,22 @@ function joinRoom(roomName) {
     
     // Leave previous room if any
     if (isInRoom && ROOM_ID) {
-        // Clean up existing connections
-        peerConnections.forEach((pc, userId) => {
-            pc.close();
-        });
-        peerConnections.clear();
-        remoteVideos.forEach((videoData, userId) => {
-            removeRemoteVideo(userId);
-        });
-        currentRoomUsers.clear();
+        cleanupRoomConnections();
     }
+    resumeToken = null;
 
     ROOM_ID = trimmedRoomName;
     isInRoom = true;
 
-    // Join the room
-    socket.emit('join-room', ROOM_ID);
+    // Join the room (password and invite are only checked if the room already exists)
+    socket.emit('join-room', {
+        roomId: ROOM_ID,
+        password: roomPasswordInput.value || undefined,
+        invite: inviteToken || undefined,
+        identity: localStorage.getItem(STORAGE_KEYS.identity) || undefined,
+        name: displayNameInput.value.trim() || undefined,
+        color: localStorage.getItem(STORAGE_KEYS.color) || undefined
+    });
     updateStatus(`Joining room: ${ROOM_ID}...`, 'success');
     
     // Update UI
@@ -789,23 +3861,202 @@ function joinRoom(roomName) {
     currentRoomDiv.style.display = 'block';
     usersListDiv.style.display = 'block';
     roomInput.disabled = true;
+    roomPasswordInput.disabled = true;
+    displayNameInput.disabled = true;
+    colorInput.disabled = true;
+    joinModeSelect.disabled = true;
     joinRoomBtn.disabled = true;
-    startCallBtn.disabled = false;
+    startCallBtn.disabled = joinMode === 'observer';
+    setChatEnabled(true);
+}
+
+// Reconnected while in a room: resume our membership, or join again if we never got one
+function resumeSession() {
+    if (!resumeToken) {
+        joinRoom(ROOM_ID);
+        return;
+    }
+
+    updateStatus('Reconnected, resuming your session...', 'success');
+    socket.emit('resume-session', {
+        roomId: ROOM_ID,
+        identity: localStorage.getItem(STORAGE_KEYS.identity),
+        resumeToken
+    });
+}
+
+// Forget a user who left the room: their tile, call, marker and indicators
+function removeRoomUser(userId) {
+    currentRoomUsers.delete(userId);
+    screenSharingUsers.delete(userId);
+    remoteMediaStates.delete(userId);
+    recordingUsers.delete(userId);
+    updateRecordingIndicator();
+    removeUserMarker(userId);
+    closePeerConnection(userId);
+}
+
+// Close all peer connections and forget everyone in the current room
+function cleanupRoomConnections() {
+    stopRecording();
+    stopReplay();
+    recordingUsers.clear();
+    updateRecordingIndicator();
+    stopSfuSession();
+    peerConnections.forEach((pc, userId) => {
+        closePeerConnection(userId);
+    });
+    remoteVideos.forEach((videoData, userId) => {
+        removeRemoteVideo(userId);
+    });
+    currentRoomUsers.forEach(userId => removeUserMarker(userId));
+    removeTrail('self');
+    stopGeofenceDrawing();
+    clearGeofences();
+    discardFileTransfers();
+    currentRoomUsers.clear();
+    pendingKnocks.clear();
+}
+
+// Drop out of the room locally (join refused or kicked) and let the user pick a room again
+function resetRoom() {
+    cleanupRoomConnections();
+    ROOM_ID = null;
+    isInRoom = false;
+    resumeToken = null;
+    roomOwnerId = null;
+    roomLocked = false;
+    stopScreenShare();
+    locationSharing = null;
+    locationConsentDiv.style.display = 'none';
+
+    currentRoomDiv.style.display = 'none';
+    usersListDiv.style.display = 'none';
+    roomInput.disabled = false;
+    roomPasswordInput.disabled = false;
+    displayNameInput.disabled = false;
+    colorInput.disabled = false;
+    joinRoomBtn.disabled = false;
+    joinModeSelect.disabled = Boolean(localStream);
+    setChatEnabled(false);
+    clearChat();
+    updateRoomControls();
+    updateKnockRequests();
+}
+
+// Show owner-only controls when we own the room
+function updateRoomControls() {
+    const isOwner = isInRoom && roomOwnerId === myUserId;
+    ownerControlsDiv.style.display = isOwner ? 'flex' : 'none';
+    lockRoomBtn.textContent = roomLocked ? 'Unlock Room' : 'Lock Room';
+    if (isInRoom) {
+        currentRoomDiv.textContent = `Current Room: ${ROOM_ID}${roomLocked ? ' (locked)' : ''}`;
+    }
+}
+
+// Render pending knock-to-join requests with approve/deny buttons
+function updateKnockRequests() {
+    knockRequestsItems.innerHTML = '';
+    knockRequestsDiv.style.display = pendingKnocks.size > 0 ? 'block' : 'none';
+
+    pendingKnocks.forEach(userId => {
+        const li = document.createElement('li');
+        li.appendChild(createUserIndicator(userId));
+        li.appendChild(document.createTextNode(getUserName(userId)));
+
+        const approveBtn = document.createElement('button');
+        approveBtn.className = 'small';
+        approveBtn.textContent = 'Let in';
+        approveBtn.addEventListener('click', () => respondToKnock(userId, true));
+
+        const denyBtn = document.createElement('button');
+        denyBtn.className = 'small danger';
+        denyBtn.textContent = 'Deny';
+        denyBtn.addEventListener('click', () => respondToKnock(userId, false));
+
+        li.appendChild(approveBtn);
+        li.appendChild(denyBtn);
+        knockRequestsItems.appendChild(li);
+    });
+}
+
+function respondToKnock(userId, approve) {
+    socket.emit('knock-response', { roomId: ROOM_ID, userId, approve });
+    pendingKnocks.delete(userId);
+    updateKnockRequests();
+}
+
+function kickUser(userId) {
+    if (!confirm(`Remove ${getUserName(userId)} from the room?`)) return;
+    socket.emit('kick-user', { roomId: ROOM_ID, userId });
+}
+
+// Display name for a user (names come from other users - always render with textContent)
+function getUserName(userId) {
+    const profile = userProfiles.get(userId);
+    return profile ? profile.name : `User ${userId.substring(0, 8)}`;
+}
+
+function createUserIndicator(userId) {
+    const indicator = document.createElement('span');
+    indicator.className = 'user-indicator';
+    const profile = userProfiles.get(userId);
+    if (profile && profile.color) {
+        indicator.style.background = profile.color;
+    }
+    return indicator;
 }
 
 function updateUsersList() {
     usersListItems.innerHTML = '';
     
+    const isOwner = roomOwnerId === myUserId;
+
     currentRoomUsers.forEach(userId => {
         const li = document.createElement('li');
-        if (userId === socket.id) {
+        li.dataset.userId = userId;
+        li.appendChild(createUserIndicator(userId));
+        if (userId === myUserId) {
             li.className = 'self';
-            li.innerHTML = '<span class="user-indicator"></span> You (me)';
+            li.appendChild(document.createTextNode(`${getUserName(userId)} (me)`));
         } else {
-            li.innerHTML = `<span class="user-indicator"></span> User ${userId.substring(0, 8)}`;
+            li.appendChild(document.createTextNode(getUserName(userId)));
+        }
+
+        if (userId === roomOwnerId) {
+            li.insertAdjacentHTML('beforeend', ' <span class="owner-badge">owner</span>');
+        }
+
+        // Connection quality to this user
+        if (userId !== myUserId && peerStats.has(userId)) {
+            li.appendChild(createQualityIndicator(userId));
+        }
+
+        // Muted / camera-off state of users who have started their call
+        const media = remoteMediaStates.get(userId);
+        if (userId !== myUserId && media) {
+            if (!media.audio) {
+                li.appendChild(createMediaIcon('🔇', 'Microphone muted'));
+            }
+            if (!media.video) {
+                li.appendChild(createMediaIcon('📷', 'Camera off', true));
+            }
+        }
+
+        // Owner can remove anyone else
+        if (isOwner && userId !== myUserId) {
+            const kickBtn = document.createElement('button');
+            kickBtn.className = 'small danger user-actions';
+            kickBtn.textContent = 'Kick';
+            kickBtn.addEventListener('click', () => kickUser(userId));
+            li.appendChild(kickBtn);
         }
+
         usersListItems.appendChild(li);
     });
+
+    updateTrackExportOptions();
+    updateFileTargetOptions();
 }
 
 // ============================================================================
@@ -829,6 +4080,7 @@ connectServerBtn.addEventListener('click', () => {
     }
     
     SERVER_URL = serverUrl;
+    iceServersCache = null; // Credentials belong to the previous server
     updateStatus('Connecting to server...', 'success');
     
     // Initialize socket connection
@@ -839,6 +4091,7 @@ connectServerBtn.addEventListener('click', () => {
     
     // Enable room input
     roomInput.disabled = false;
+    roomPasswordInput.disabled = false;
     joinRoomBtn.disabled = false;
     connectServerBtn.disabled = true;
     serverUrlInput.disabled = true;
@@ -861,6 +4114,56 @@ roomInput.addEventListener('keypress', (e) => {
     }
 });
 
+roomPasswordInput.addEventListener('keypress', (e) => {
+    if (e.key === 'Enter') {
+        joinRoom(roomInput.value);
+    }
+});
+
+chatSendBtn.addEventListener('click', sendChatMessage);
+
+chatInput.addEventListener('keypress', (e) => {
+    if (e.key === 'Enter') {
+        sendChatMessage();
+    }
+});
+
+chatToggleBtn.addEventListener('click', () => {
+    chatOpen = !chatOpen;
+    chatBody.style.display = chatOpen ? 'block' : 'none';
+    chatToggleBtn.textContent = chatOpen ? 'Hide' : 'Show';
+    if (chatOpen) {
+        unreadCount = 0;
+        updateUnreadBadge();
+        chatMessagesList.scrollTop = chatMessagesList.scrollHeight;
+    }
+});
+
+// Messages read while the tab was in the background count as read once it's visible again
+document.addEventListener('visibilitychange', () => {
+    if (!document.hidden && chatOpen) {
+        unreadCount = 0;
+        updateUnreadBadge();
+    }
+});
+
+// Remember name and color for next time
+displayNameInput.addEventListener('change', () => {
+    localStorage.setItem(STORAGE_KEYS.name, displayNameInput.value.trim());
+});
+
+colorInput.addEventListener('input', () => {
+    localStorage.setItem(STORAGE_KEYS.color, colorInput.value);
+});
+
+lockRoomBtn.addEventListener('click', () => {
+    socket.emit('lock-room', { roomId: ROOM_ID, locked: !roomLocked });
+});
+
+inviteBtn.addEventListener('click', () => {
+    socket.emit('create-invite', { roomId: ROOM_ID });
+});
+
 startCallBtn.addEventListener('click', async () => {
     if (!isInRoom) {
         updateStatus('Please join a room first', 'error');
@@ -873,11 +4176,107 @@ startCallBtn.addEventListener('click', async () => {
     const success = await startLocalStream();
     if (success) {
         startCallBtn.textContent = 'Call Active';
+        shareScreenBtn.disabled = joinMode !== 'video'; // Screen shares replace the camera track
+        joinModeSelect.disabled = true;
+        updateMediaButtons();
+        emitMediaState();
     } else {
         startCallBtn.disabled = false;
     }
 });
 
+toggleStatsBtn.addEventListener('click', () => setStatsVisible(!statsVisible));
+
+qualitySelect.addEventListener('change', () => setQualityPreset(qualitySelect.value));
+
+exportGpxBtn.addEventListener('click', () => exportTracks('gpx'));
+locationSharingSelect.addEventListener('change', () => setLocationSharing(locationSharingSelect.value));
+drawGeofenceBtn.addEventListener('click', toggleGeofenceDrawing);
+finishGeofenceBtn.addEventListener('click', () => finishGeofenceDrawing());
+document.querySelectorAll('[data-location-consent]').forEach(button => {
+    button.addEventListener('click', () => setLocationSharing(button.dataset.locationConsent));
+});
+exportGeoJsonBtn.addEventListener('click', () => exportTracks('geojson'));
+replayBtn.addEventListener('click', startReplay);
+replayPlayBtn.addEventListener('click', () => {
+    if (replay.timer) {
+        pauseReplay();
+    } else {
+        playReplay();
+    }
+});
+replaySlider.addEventListener('input', () => seekReplay(Number(replaySlider.value)));
+exitReplayBtn.addEventListener('click', stopReplay);
+
+recordBtn.addEventListener('click', () => {
+    if (recorder) {
+        stopRecording();
+    } else {
+        startRecording();
+    }
+});
+pauseRecordingBtn.addEventListener('click', toggleRecordingPause);
+
+joinModeSelect.addEventListener('change', () => setJoinMode(joinModeSelect.value));
+previewBtn.addEventListener('click', () => {
+    if (previewStream) {
+        stopPreview();
+    } else {
+        startPreview();
+    }
+});
+cameraSelect.addEventListener('change', () => {
+    saveDeviceChoices();
+    switchInputDevice('video');
+});
+microphoneSelect.addEventListener('change', () => {
+    saveDeviceChoices();
+    switchInputDevice('audio');
+});
+speakerSelect.addEventListener('change', () => {
+    saveDeviceChoices();
+    switchAudioOutput();
+});
+
+chooseFileBtn.addEventListener('click', () => fileInput.click());
+fileInput.addEventListener('change', () => {
+    sendFiles(Array.from(fileInput.files));
+    fileInput.value = '';
+});
+fileDropZone.addEventListener('dragover', (e) => {
+    e.preventDefault();
+    fileDropZone.classList.add('dragover');
+});
+fileDropZone.addEventListener('dragleave', () => fileDropZone.classList.remove('dragover'));
+fileDropZone.addEventListener('drop', (e) => {
+    e.preventDefault();
+    fileDropZone.classList.remove('dragover');
+    sendFiles(Array.from(e.dataTransfer.files));
+});
+
+layoutToggleBtn.addEventListener('click', () => {
+    setLayoutMode(layoutMode === 'gallery' ? 'speaker' : 'gallery');
+});
+
+// Remote-only participants never click "Start Call" - resume audio analysis on their first click
+document.addEventListener('click', () => {
+    if (audioContext && audioContext.state === 'suspended') {
+        audioContext.resume().catch(() => {});
+    }
+});
+
+toggleMicBtn.addEventListener('click', () => toggleLocalTrack('audio'));
+
+toggleCameraBtn.addEventListener('click', () => toggleLocalTrack('video'));
+
+shareScreenBtn.addEventListener('click', () => {
+    if (screenTrack) {
+        stopScreenShare();
+    } else {
+        startScreenShare();
+    }
+});
+
 // Update status message
 function updateStatus(message, type = '') {
     statusDiv.textContent = message;
@@ -890,6 +4289,9 @@ function updateStatus(message, type = '') {
 
 // Initialize when page loads
 document.addEventListener('DOMContentLoaded', () => {
+    // The map works even where calls can't (e.g. no camera API)
+    initMap();
+
     // Check if page is served over HTTP/HTTPS (required for getUserMedia and WebRTC)
     if (window.location.protocol === 'file:') {
         updateStatus('ERROR: Page must be served over HTTP. Please access via http://localhost:3000', 'error');
@@ -906,6 +4308,21 @@ document.addEventListener('DOMContentLoaded', () => {
         return;
     }
 
+    qualitySelect.value = qualityPreset;
+    initDevices();
+    updateJoinModeControls();
+
+    // Restore saved name and color
+    displayNameInput.value = localStorage.getItem(STORAGE_KEYS.name) || '';
+    colorInput.value = localStorage.getItem(STORAGE_KEYS.color) || '#4caf50';
+
+    // Pre-fill room and invite from an invite link
+    const params = new URLSearchParams(window.location.search);
+    if (params.get('room')) {
+        roomInput.value = params.get('room');
+        inviteToken = params.get('invite');
+    }
+
     // Auto-detect server URL for localhost
     if (window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1') {
         SERVER_URL = `${window.location.protocol}//${window.location.hostname}:${window.location.port || 3000}`;
@@ -913,6 +4330,7 @@ document.addEventListener('DOMContentLoaded', () => {
         // Auto-connect for localhost
         initializeSocket();
         roomInput.disabled = false;
+        roomPasswordInput.disabled = false;
         joinRoomBtn.disabled = false;
         connectServerBtn.disabled = true;
         serverUrlInput.disabled = true;
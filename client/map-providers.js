@@ -0,0 +1,257 @@
+// ============================================================================
+// Map Providers
+// main.js only talks to the adapter returned by createMapAdapter(), so the
+// map library (Google Maps or Leaflet/OpenStreetMap) is a matter of MAP_CONFIG
+// ============================================================================
+//
+// Adapter interface (positions are always plain { lat, lng } objects):
+//   setCenter(position)
+//   setCursor(cursor)                     - CSS cursor over the map, null for the default
+//   on('click' | 'mousemove', handler)    - handler(position)
+//   addMarker(position)   -> { setPosition, setIcon({ shape, color, rotation }), setOpacity, setTitle, remove }
+//                            shape: 'dot' | 'arrow' (rotated by `rotation` degrees) | 'self'
+//   addCircle({ center, radius, color, weight, opacity, fillOpacity }) -> { setCenter, setRadius, setColor, remove }
+//   addPolyline({ points, color, weight, opacity })                    -> { setPoints, remove }
+//   addPolygon({ points, color, weight, opacity, fillOpacity })        -> { setPoints, remove }
+// Shapes never take clicks - they fall through to the map (e.g. for drawing geofences)
+
+// Load the provider's library if needed and create the map in `element`
+// view: { center, zoom }
+async function createMapAdapter(element, config, view) {
+    if (config.provider === 'google') {
+        if (!config.googleApiKey) {
+            throw new Error('MAP_CONFIG.googleApiKey is not set');
+        }
+        if (!window.google || !window.google.maps) {
+            await loadGoogleMaps(config.googleApiKey);
+        }
+        return createGoogleMapAdapter(element, view);
+    }
+
+    if (!window.L) {
+        loadStylesheet(`${config.leafletUrl}/leaflet.css`);
+        await loadScript(`${config.leafletUrl}/leaflet.js`);
+    }
+    return createLeafletMapAdapter(element, view, config);
+}
+
+function loadScript(src) {
+    return new Promise((resolve, reject) => {
+        const script = document.createElement('script');
+        script.src = src;
+        script.async = true;
+        script.onload = resolve;
+        script.onerror = () => reject(new Error(`Could not load ${src}`));
+        document.head.appendChild(script);
+    });
+}
+
+function loadStylesheet(href) {
+    const link = document.createElement('link');
+    link.rel = 'stylesheet';
+    link.href = href;
+    document.head.appendChild(link);
+}
+
+// The Maps API reports it is ready through a global callback
+function loadGoogleMaps(apiKey) {
+    return new Promise((resolve, reject) => {
+        window.onGoogleMapsLoaded = resolve;
+        loadScript(`https://maps.googleapis.com/maps/api/js?key=${encodeURIComponent(apiKey)}&callback=onGoogleMapsLoaded`)
+            .catch(reject);
+    });
+}
+
+// Colors end up in SVG markup - only accept plain hex colors
+function safeColor(color) {
+    return /^#[0-9a-f]{6}$/i.test(color) ? color : '#e53935';
+}
+
+// ============================================================================
+// Google Maps
+// ============================================================================
+
+function createGoogleMapAdapter(element, { center, zoom }) {
+    const map = new google.maps.Map(element, {
+        zoom,
+        center,
+        mapTypeId: 'roadmap'
+    });
+
+    const shapeStyle = ({ color, weight = 2, opacity = 1, fillOpacity = 0 }) => ({
+        strokeColor: color,
+        strokeWeight: weight,
+        strokeOpacity: opacity,
+        fillColor: color,
+        fillOpacity,
+        clickable: false
+    });
+
+    return {
+        setCenter(position) {
+            map.setCenter(position);
+        },
+
+        setCursor(cursor) {
+            map.setOptions({ draggableCursor: cursor });
+        },
+
+        on(event, handler) {
+            map.addListener(event, (e) => handler({ lat: e.latLng.lat(), lng: e.latLng.lng() }));
+        },
+
+        addMarker(position) {
+            const marker = new google.maps.Marker({
+                position,
+                map: map,
+                animation: google.maps.Animation.DROP
+            });
+            return {
+                setPosition: (newPosition) => marker.setPosition(newPosition),
+                setIcon: (icon) => marker.setIcon(getGoogleIcon(icon)),
+                setOpacity: (opacity) => marker.setOpacity(opacity),
+                setTitle: (title) => marker.setTitle(title),
+                remove: () => marker.setMap(null)
+            };
+        },
+
+        addCircle({ center: circleCenter, radius, ...style }) {
+            const circle = new google.maps.Circle({ map: map, center: circleCenter, radius, ...shapeStyle(style) });
+            return {
+                setCenter: (newCenter) => circle.setCenter(newCenter),
+                setRadius: (newRadius) => circle.setRadius(newRadius),
+                setColor: (color) => circle.setOptions({ strokeColor: color, fillColor: color }),
+                remove: () => circle.setMap(null)
+            };
+        },
+
+        addPolyline({ points, ...style }) {
+            const line = new google.maps.Polyline({ map: map, path: points, ...shapeStyle(style) });
+            return {
+                setPoints: (newPoints) => line.setPath(newPoints),
+                remove: () => line.setMap(null)
+            };
+        },
+
+        addPolygon({ points, ...style }) {
+            const polygon = new google.maps.Polygon({ map: map, paths: points, ...shapeStyle(style) });
+            return {
+                setPoints: (newPoints) => polygon.setPath(newPoints),
+                remove: () => polygon.setMap(null)
+            };
+        }
+    };
+}
+
+function getGoogleIcon({ shape, color, rotation }) {
+    if (shape === 'self') {
+        return { url: 'https://maps.google.com/mapfiles/ms/icons/blue-dot.png' };
+    }
+    return {
+        path: shape === 'arrow' ? google.maps.SymbolPath.FORWARD_CLOSED_ARROW : google.maps.SymbolPath.CIRCLE,
+        scale: shape === 'arrow' ? 6 : 9,
+        rotation: shape === 'arrow' ? rotation : 0,
+        fillColor: color,
+        fillOpacity: 1,
+        strokeColor: '#ffffff',
+        strokeWeight: 2
+    };
+}
+
+// ============================================================================
+// Leaflet / OpenStreetMap (or any XYZ tile server)
+// ============================================================================
+
+function createLeafletMapAdapter(element, { center, zoom }, { tileUrl, tileAttribution, maxZoom }) {
+    const map = L.map(element).setView([center.lat, center.lng], zoom);
+    L.tileLayer(tileUrl, { attribution: tileAttribution, maxZoom }).addTo(map);
+
+    const toLatLngs = (points) => points.map(({ lat, lng }) => [lat, lng]);
+    const shapeStyle = ({ color, weight = 2, opacity = 1, fillOpacity = 0 }) => ({
+        color,
+        weight,
+        opacity,
+        fillColor: color,
+        fillOpacity,
+        interactive: false
+    });
+
+    return {
+        setCenter(position) {
+            map.setView([position.lat, position.lng]);
+        },
+
+        setCursor(cursor) {
+            element.style.cursor = cursor || '';
+        },
+
+        on(event, handler) {
+            map.on(event, (e) => handler({ lat: e.latlng.lat, lng: e.latlng.lng }));
+        },
+
+        addMarker(position) {
+            const marker = L.marker([position.lat, position.lng]).addTo(map);
+            // Tooltips render HTML - use an element and set its text, names come from other users
+            const tooltip = document.createElement('span');
+            marker.bindTooltip(tooltip);
+            return {
+                setPosition: (newPosition) => marker.setLatLng([newPosition.lat, newPosition.lng]),
+                setIcon: (icon) => marker.setIcon(getLeafletIcon(icon)),
+                setOpacity: (opacity) => marker.setOpacity(opacity),
+                setTitle: (title) => {
+                    tooltip.textContent = title;
+                },
+                remove: () => marker.remove()
+            };
+        },
+
+        addCircle({ center: circleCenter, radius, ...style }) {
+            const circle = L.circle([circleCenter.lat, circleCenter.lng], { radius, ...shapeStyle(style) }).addTo(map);
+            return {
+                setCenter: (newCenter) => circle.setLatLng([newCenter.lat, newCenter.lng]),
+                setRadius: (newRadius) => circle.setRadius(newRadius),
+                setColor: (color) => circle.setStyle({ color, fillColor: color }),
+                remove: () => circle.remove()
+            };
+        },
+
+        addPolyline({ points, ...style }) {
+            const line = L.polyline(toLatLngs(points), shapeStyle(style)).addTo(map);
+            return {
+                setPoints: (newPoints) => line.setLatLngs(toLatLngs(newPoints)),
+                remove: () => line.remove()
+            };
+        },
+
+        addPolygon({ points, ...style }) {
+            const polygon = L.polygon(toLatLngs(points), shapeStyle(style)).addTo(map);
+            return {
+                setPoints: (newPoints) => polygon.setLatLngs(toLatLngs(newPoints)),
+                remove: () => polygon.remove()
+            };
+        }
+    };
+}
+
+// SVG markers drawn to match the Google ones
+function getLeafletIcon({ shape, color, rotation }) {
+    const fill = safeColor(color);
+    let svg;
+    if (shape === 'self') {
+        svg = '<circle cx="12" cy="12" r="11" fill="#4285f4" fill-opacity="0.25"/>' +
+            '<circle cx="12" cy="12" r="6" fill="#4285f4" stroke="#ffffff" stroke-width="2"/>';
+    } else if (shape === 'arrow') {
+        svg = `<path d="M12 2 L20 21 L12 16 L4 21 Z" fill="${fill}" stroke="#ffffff" stroke-width="2" ` +
+            `transform="rotate(${Number(rotation) || 0} 12 12)"/>`;
+    } else {
+        svg = `<circle cx="12" cy="12" r="9" fill="${fill}" stroke="#ffffff" stroke-width="2"/>`;
+    }
+
+    return L.divIcon({
+        className: 'map-marker-icon', // Replaces Leaflet's default white box
+        html: `<svg width="24" height="24" viewBox="0 0 24 24">${svg}</svg>`,
+        iconSize: [24, 24],
+        iconAnchor: [12, 12],
+        tooltipAnchor: [12, 0]
+    });
+}
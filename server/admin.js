@@ -0,0 +1,150 @@
+// ============================================================================
+// Admin REST API, mounted at /api/admin (the dashboard is client/admin.html)
+// Every route needs "Authorization: Bearer <ADMIN_TOKEN>"; without ADMIN_TOKEN the API is disabled
+// ============================================================================
+//
+//   GET    /rooms                  - active rooms with member counts and uptime
+//   GET    /rooms/:roomId          - a room's settings, users (with socket ids) and locations
+//   DELETE /rooms/:roomId          - close the room for everyone
+//   DELETE /sockets/:socketId      - remove a socket from its room and disconnect it
+//   POST   /announcements          - { message, roomId? } to every connected client, or one room
+
+const crypto = require('crypto');
+const express = require('express');
+
+const MAX_ANNOUNCEMENT_LENGTH = 500;
+
+// Compare digests so neither the token's contents nor its length leak through timing
+function isValidToken(expected, actual) {
+  const digest = (value) => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(expected), digest(actual));
+}
+
+// Route handlers are async (the store may be Redis) - report failures instead of leaving the request hanging
+function route(handler) {
+  return (req, res) => {
+    handler(req, res).catch(error => {
+      console.error(`Admin ${req.method} ${req.originalUrl} failed:`, error);
+      res.status(500).json({ error: 'Internal server error' });
+    });
+  };
+}
+
+// actions: { closeRoom(roomId) -> bool, kickSocket(socketId) -> bool, announce(message, roomId | null) }
+// (they live in server.js, next to the room bookkeeping they share with the socket handlers)
+function createAdminRouter({ adminToken, store, actions }) {
+  const router = express.Router();
+
+  router.use((req, res, next) => {
+    res.set('Cache-Control', 'no-store');
+    if (!adminToken) {
+      res.status(503).json({ error: 'The admin API is disabled - set ADMIN_TOKEN on the server' });
+      return;
+    }
+
+    const authorization = req.get('Authorization') || '';
+    if (!isValidToken(adminToken, authorization.replace(/^Bearer /, ''))) {
+      console.warn(`Rejected admin request from ${req.ip}: ${req.method} ${req.originalUrl}`);
+      res.status(401).json({ error: 'A valid admin token is required' });
+      return;
+    }
+    next();
+  });
+
+  router.get('/rooms', route(async (req, res) => {
+    const roomIds = await store.listRooms();
+    const now = Date.now();
+    const rooms = await Promise.all(roomIds.map(async roomId => {
+      const [room, users] = await Promise.all([store.getRoom(roomId), store.getUsers(roomId)]);
+      if (!room) return null; // Deleted while we were listing
+
+      return {
+        roomId,
+        userCount: users.length,
+        createdAt: room.createdAt,
+        uptime: Math.floor((now - room.createdAt) / 1000), // seconds
+        ownerId: room.ownerId,
+        locked: room.locked,
+        hasPassword: Boolean(room.passwordHash),
+        mode: room.mode
+      };
+    }));
+
+    res.json({ rooms: rooms.filter(Boolean).sort((a, b) => a.createdAt - b.createdAt) });
+  }));
+
+  router.get('/rooms/:roomId', route(async (req, res) => {
+    const { roomId } = req.params;
+    const [room, users, locations, knocks, geofences] = await Promise.all([
+      store.getRoom(roomId),
+      store.getUsers(roomId),
+      store.getLocations(roomId),
+      store.getKnocks(roomId),
+      store.getGeofences(roomId)
+    ]);
+    if (!room) {
+      res.status(404).json({ error: `Room ${roomId} does not exist` });
+      return;
+    }
+
+    const locationsByUser = new Map(locations.map(({ userId, ...location }) => [userId, location]));
+    res.json({
+      roomId,
+      createdAt: room.createdAt,
+      uptime: Math.floor((Date.now() - room.createdAt) / 1000),
+      ownerId: room.ownerId,
+      locked: room.locked,
+      hasPassword: Boolean(room.passwordHash),
+      mode: room.mode,
+      users: users.map(({ userId, socketId, name, color, joinedAt, media, screenSharing, recording }) => ({
+        userId,
+        socketId,
+        name,
+        color,
+        joinedAt,
+        media,
+        screenSharing,
+        recording,
+        location: locationsByUser.get(userId) || null
+      })),
+      knocks: knocks.map(({ userId, name }) => ({ userId, name })),
+      geofenceCount: geofences.length
+    });
+  }));
+
+  router.delete('/rooms/:roomId', route(async (req, res) => {
+    if (!(await actions.closeRoom(req.params.roomId))) {
+      res.status(404).json({ error: `Room ${req.params.roomId} does not exist` });
+      return;
+    }
+    res.status(204).end();
+  }));
+
+  router.delete('/sockets/:socketId', route(async (req, res) => {
+    if (!(await actions.kickSocket(req.params.socketId))) {
+      res.status(404).json({ error: `Socket ${req.params.socketId} is not connected` });
+      return;
+    }
+    res.status(204).end();
+  }));
+
+  router.post('/announcements', route(async (req, res) => {
+    const { message, roomId } = req.body || {};
+    const text = typeof message === 'string' ? message.trim() : '';
+    if (!text || text.length > MAX_ANNOUNCEMENT_LENGTH) {
+      res.status(400).json({ error: `message must be 1-${MAX_ANNOUNCEMENT_LENGTH} characters` });
+      return;
+    }
+    if (roomId !== undefined && roomId !== null && (typeof roomId !== 'string' || !(await store.getRoom(roomId)))) {
+      res.status(404).json({ error: `Room ${roomId} does not exist` });
+      return;
+    }
+
+    actions.announce(text, roomId || null);
+    res.status(204).end();
+  }));
+
+  return router;
+}
+
+module.exports = { createAdminRouter };
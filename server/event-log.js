@@ -0,0 +1,255 @@
+// ============================================================================
+// Room activity log
+// An append-only record of what happened in each room, as JSON lines in a file per room or a
+// Redis stream per room, read back for GET /api/rooms/:roomId/timeline (and the client's replay mode)
+// ============================================================================
+//
+// Every event is { time, roomId, type, ...details }, time in ms:
+//   join           { userId, name, color }
+//   resume         { userId }                      back within the reconnect grace period
+//   leave          { userId }
+//   location       { userId, lat, lng, accuracy, heading, speed, altitude, timestamp, approximate }
+//   location-stop  { userId }
+//   signal         { from, to, kind: 'offer' | 'answer' | 'candidate' }  never the SDP or candidate itself
+//
+// Event log methods:
+//   append(roomId, type, details)
+//   readRoom(roomId, { since, until, types, limit }) -> { events, truncated } oldest first
+//   forgetLocations(roomId, userId)                 the user stopped sharing (or now shares less precisely):
+//                                                   their logged positions are deleted, not just hidden
+//   removeRoom(roomId)                              the room is gone - so is its log
+//
+// The file log (one server): each room has its own file (named after a hash of the room id), so reading
+// a timeline only scans that room. A file over maxBytes is rotated, keeping one older file; files of
+// rooms that saw no activity for maxAge ms are deleted.
+// The Redis log (several servers, REDIS_URL): one stream per room shared by every instance, so the
+// timeline is complete and positions are deleted wherever they were logged. Each stream keeps its
+// newest maxEvents events and expires maxAge ms after the room's last activity.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+// How often to look for files past maxAge
+const PRUNE_INTERVAL = 60 * 60 * 1000;
+
+// ============================================================================
+// File log (default): <dir>/<sha256 of the room id>.jsonl, plus .jsonl.1 after a rotation
+// ============================================================================
+
+function createFileEventLog(dir, { maxBytes, maxAge }) {
+  fs.mkdirSync(dir, { recursive: true });
+
+  // Map<roomId, Promise> - a room's file operations run one at a time, so appends stay in order
+  // and never land in a file that is being rotated or deleted
+  const queues = new Map();
+
+  function enqueue(roomId, task) {
+    const result = (queues.get(roomId) || Promise.resolve()).then(task);
+    const tail = result.catch(() => {});
+    queues.set(roomId, tail);
+    tail.then(() => {
+      if (queues.get(roomId) === tail) queues.delete(roomId);
+    });
+    return result;
+  }
+
+  // The room's current file and the one it was last rotated into, oldest first
+  function getFiles(roomId) {
+    const current = path.join(dir, `${crypto.createHash('sha256').update(roomId).digest('hex')}.jsonl`);
+    return [`${current}.1`, current];
+  }
+
+  // Rewrite a file without the lines that match, replacing it only once the new one is complete
+  async function removeLines(file, matches) {
+    if (!fs.existsSync(file)) return;
+
+    const input = fs.createReadStream(file);
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+    const kept = [];
+    try {
+      for await (const line of lines) {
+        if (!matches(line)) kept.push(`${line}\n`);
+      }
+    } finally {
+      lines.close();
+      input.destroy();
+    }
+    await fs.promises.writeFile(`${file}.tmp`, kept.join(''));
+    await fs.promises.rename(`${file}.tmp`, file);
+  }
+
+  function logError(action, roomId) {
+    return error => console.error(`Could not ${action} the event log of room ${roomId}:`, error);
+  }
+
+  async function prune() {
+    const cutoff = Date.now() - maxAge;
+    for (const name of await fs.promises.readdir(dir)) {
+      const file = path.join(dir, name);
+      const { mtimeMs } = await fs.promises.stat(file);
+      if (mtimeMs < cutoff) {
+        await fs.promises.rm(file, { force: true });
+      }
+    }
+  }
+
+  const pruneError = error => console.error(`Could not prune the event log in ${dir}:`, error);
+  prune().catch(pruneError);
+  setInterval(() => prune().catch(pruneError), PRUNE_INTERVAL).unref();
+
+  return {
+    append(roomId, type, details) {
+      const line = `${JSON.stringify({ time: Date.now(), roomId, type, ...details })}\n`;
+      const [previous, current] = getFiles(roomId);
+      enqueue(roomId, async () => {
+        await fs.promises.appendFile(current, line);
+        const { size } = await fs.promises.stat(current);
+        if (size > maxBytes) {
+          await fs.promises.rename(current, previous);
+        }
+      }).catch(logError('write', roomId));
+    },
+
+    readRoom(roomId, { since = 0, until = Infinity, types = null, limit = Infinity } = {}) {
+      return enqueue(roomId, async () => {
+        const events = [];
+        for (const file of getFiles(roomId)) {
+          if (!fs.existsSync(file)) continue;
+
+          const input = fs.createReadStream(file);
+          const lines = readline.createInterface({ input, crlfDelay: Infinity });
+          try {
+            for await (const line of lines) {
+              let event;
+              try {
+                event = JSON.parse(line);
+              } catch (error) {
+                continue; // A line cut short by a crash
+              }
+              // Different room ids could share a file name only through a hash collision, but check anyway
+              if (event.roomId !== roomId || event.time < since || event.time > until) continue;
+              if (types && !types.includes(event.type)) continue;
+
+              if (events.length === limit) {
+                return { events, truncated: true };
+              }
+              events.push(event);
+            }
+          } finally {
+            lines.close();
+            input.destroy();
+          }
+        }
+        return { events, truncated: false };
+      });
+    },
+
+    forgetLocations(roomId, userId) {
+      // Location events start {"time":...,"roomId":...,"type":"location","userId":...}
+      const marker = `,"type":"location","userId":${JSON.stringify(userId)},`;
+      enqueue(roomId, async () => {
+        for (const file of getFiles(roomId)) {
+          await removeLines(file, line => line.includes(marker));
+        }
+      }).catch(logError('redact', roomId));
+    },
+
+    removeRoom(roomId) {
+      enqueue(roomId, () => Promise.all(getFiles(roomId).map(file => fs.promises.rm(file, { force: true }))))
+        .catch(logError('remove', roomId));
+    }
+  };
+}
+
+// ============================================================================
+// Redis log: one stream per room, realtime-app:events:<room id in base64url>
+// An entry's id is its time; the event (without time and roomId) is its one field
+// ============================================================================
+
+const EVENTS_KEY_PREFIX = 'realtime-app:events:';
+
+// Entries fetched per XRANGE call
+const READ_BATCH = 1000;
+
+function createRedisEventLog(client, { maxEvents, maxAge }) {
+  const getKey = (roomId) => `${EVENTS_KEY_PREFIX}${Buffer.from(roomId).toString('base64url')}`;
+
+  function logError(action, roomId) {
+    return error => console.error(`Could not ${action} the event log of room ${roomId}:`, error);
+  }
+
+  // Every entry from start (a stream id or ms) to end, READ_BATCH at a time, until visit returns false
+  async function scan(key, start, end, visit) {
+    for (;;) {
+      const entries = await client.xRange(key, start, end, { COUNT: READ_BATCH });
+      for (const entry of entries) {
+        if (visit(entry) === false) return;
+      }
+      if (entries.length < READ_BATCH) return;
+
+      const [ms, sequence] = entries[entries.length - 1].id.split('-');
+      start = `${ms}-${Number(sequence) + 1}`;
+    }
+  }
+
+  return {
+    append(roomId, type, details) {
+      const key = getKey(roomId);
+      client.multi()
+        .xAdd(key, '*', { event: JSON.stringify({ type, ...details }) }, {
+          TRIM: { strategy: 'MAXLEN', strategyModifier: '~', threshold: maxEvents }
+        })
+        .pExpire(key, maxAge)
+        .exec()
+        .catch(logError('write', roomId));
+    },
+
+    async readRoom(roomId, { since = 0, until = Infinity, types = null, limit = Infinity } = {}) {
+      const events = [];
+      let truncated = false;
+      await scan(getKey(roomId), String(since), until === Infinity ? '+' : String(until), ({ id, message }) => {
+        const event = { time: parseInt(id, 10), roomId, ...JSON.parse(message.event) };
+        if (types && !types.includes(event.type)) return true;
+
+        if (events.length === limit) {
+          truncated = true;
+          return false;
+        }
+        events.push(event);
+        return true;
+      });
+      return { events, truncated };
+    },
+
+    forgetLocations(roomId, userId) {
+      const key = getKey(roomId);
+      const marker = `{"type":"location","userId":${JSON.stringify(userId)},`;
+      const ids = [];
+      scan(key, '-', '+', ({ id, message }) => {
+        if (message.event.startsWith(marker)) ids.push(id);
+      })
+        .then(() => (ids.length > 0 ? client.xDel(key, ids) : 0))
+        .catch(logError('redact', roomId));
+    },
+
+    removeRoom(roomId) {
+      client.del(getKey(roomId)).catch(logError('remove', roomId));
+    }
+  };
+}
+
+// EVENT_LOG_DIR=off
+function createNullEventLog() {
+  return {
+    append() {},
+    async readRoom() {
+      return { events: [], truncated: false };
+    },
+    forgetLocations() {},
+    removeRoom() {}
+  };
+}
+
+module.exports = { createFileEventLog, createRedisEventLog, createNullEventLog };
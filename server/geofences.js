@@ -0,0 +1,72 @@
+// ============================================================================
+// Geofences: room-scoped circles and polygons that report users entering/leaving
+// ============================================================================
+
+const MAX_GEOFENCES_PER_ROOM = 50;
+const MAX_POLYGON_POINTS = 100;
+const MIN_RADIUS = 10; // meters
+const MAX_RADIUS = 50000;
+const EARTH_RADIUS = 6371000; // meters
+
+function isLatLng(point) {
+  return point !== null && typeof point === 'object' &&
+    Number.isFinite(point.lat) && point.lat >= -90 && point.lat <= 90 &&
+    Number.isFinite(point.lng) && point.lng >= -180 && point.lng <= 180;
+}
+
+// Check the shape of a geofence-create payload (validation.js has already checked the field types)
+// Returns { geofence } with a new id, or { error }
+function createGeofence(id, { name, shape, center, radius, points }, createdBy) {
+  if (shape === 'circle') {
+    if (!isLatLng(center)) {
+      return { error: 'center must be a { lat, lng } position' };
+    }
+    if (!Number.isFinite(radius) || radius < MIN_RADIUS || radius > MAX_RADIUS) {
+      return { error: `radius must be between ${MIN_RADIUS} and ${MAX_RADIUS} meters` };
+    }
+    return { geofence: { id, name, shape, center: { lat: center.lat, lng: center.lng }, radius, createdBy } };
+  }
+
+  if (!Array.isArray(points) || points.length < 3 || points.length > MAX_POLYGON_POINTS) {
+    return { error: `points must have between 3 and ${MAX_POLYGON_POINTS} positions` };
+  }
+  if (!points.every(isLatLng)) {
+    return { error: 'points must be { lat, lng } positions' };
+  }
+  return {
+    geofence: { id, name, shape, points: points.map(({ lat, lng }) => ({ lat, lng })), createdBy }
+  };
+}
+
+// Great-circle distance in meters
+function distance(a, b) {
+  const toRadians = (degrees) => (degrees * Math.PI) / 180;
+  const dLat = toRadians(b.lat - a.lat);
+  const dLng = toRadians(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS * Math.asin(Math.sqrt(h));
+}
+
+// Ray casting on plain lat/lng - fine for site-sized polygons away from the poles and the antimeridian
+function polygonContains(points, { lat, lng }) {
+  let inside = false;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const a = points[i];
+    const b = points[j];
+    if ((a.lat > lat) !== (b.lat > lat) &&
+        lng < ((b.lng - a.lng) * (lat - a.lat)) / (b.lat - a.lat) + a.lng) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+function containsPoint(geofence, position) {
+  if (geofence.shape === 'circle') {
+    return distance(geofence.center, position) <= geofence.radius;
+  }
+  return polygonContains(geofence.points, position);
+}
+
+module.exports = { MAX_GEOFENCES_PER_ROOM, createGeofence, containsPoint };
@@ -0,0 +1,88 @@
+// ============================================================================
+// Token bucket rate limiting, per socket and per HTTP client
+// ============================================================================
+
+// Limits per event: capacity = burst size, refill = tokens added per second
+// ICE candidates arrive in bursts, so signaling gets a large bucket
+const EVENT_LIMITS = {
+  'join-room': { capacity: 5, refill: 0.5 },
+  'webrtc-signal': { capacity: 100, refill: 20 },
+  'location-update': { capacity: 10, refill: 2 },
+  'chat-message': { capacity: 5, refill: 1 },
+  'stats-report': { capacity: 2, refill: 0.1 },
+  // Joining an SFU room consumes every track in it at once
+  'sfu-consume': { capacity: 60, refill: 10 },
+  'sfu-resume-consumer': { capacity: 60, refill: 10 },
+  default: { capacity: 10, refill: 2 }
+};
+
+// Rate limit violations allowed before a socket is considered abusive
+const STRIKE_LIMITS = { capacity: 20, refill: 0.2 };
+
+function createTokenBucket({ capacity, refill }) {
+  let tokens = capacity;
+  let lastRefill = Date.now();
+
+  return {
+    take() {
+      const now = Date.now();
+      tokens = Math.min(capacity, tokens + ((now - lastRefill) / 1000) * refill);
+      lastRefill = now;
+
+      if (tokens < 1) {
+        return false;
+      }
+      tokens -= 1;
+      return true;
+    }
+  };
+}
+
+// Create the limiter for one socket
+// consume(event) returns 'ok', 'limited' (drop this event) or 'abuse' (disconnect)
+function createSocketRateLimiter() {
+  const buckets = new Map(); // Map<event, bucket>
+  const strikes = createTokenBucket(STRIKE_LIMITS);
+
+  return {
+    consume(event) {
+      if (!buckets.has(event)) {
+        buckets.set(event, createTokenBucket(EVENT_LIMITS[event] || EVENT_LIMITS.default));
+      }
+
+      if (buckets.get(event).take()) {
+        return 'ok';
+      }
+      return strikes.take() ? 'limited' : 'abuse';
+    }
+  };
+}
+
+// Create the limiter for an HTTP route, with one bucket per key (e.g. the client's IP address)
+// consume(key) returns false once the key has used up its burst
+function createRequestRateLimiter(limits) {
+  const buckets = new Map(); // Map<key, {bucket, lastUsed}>
+
+  // Forget keys idle long enough for their bucket to be full again
+  const idleTime = (limits.capacity / limits.refill) * 1000;
+  setInterval(() => {
+    const now = Date.now();
+    buckets.forEach(({ lastUsed }, key) => {
+      if (now - lastUsed > idleTime) buckets.delete(key);
+    });
+  }, idleTime).unref();
+
+  return {
+    consume(key) {
+      if (!buckets.has(key)) {
+        buckets.set(key, { bucket: createTokenBucket(limits), lastUsed: 0 });
+      }
+
+      const entry = buckets.get(key);
+      entry.lastUsed = Date.now();
+      return entry.bucket.take();
+    }
+  };
+}
+
+module.exports = { EVENT_LIMITS, createSocketRateLimiter, createRequestRateLimiter };
@@ -0,0 +1,517 @@
+// ============================================================================
+// Room state store
+// Everything server.js knows about a room lives behind this interface, so it can
+// be kept in memory (one server) or in Redis (several servers behind a load balancer)
+// ============================================================================
+//
+// All methods are async. A room is:
+//   meta:      { ownerId, passwordHash: {salt, hash} | null, locked, mode: 'mesh' | 'sfu', createdAt, inviteNonce }
+//   users:     userId -> { socketId, name, color, screenSharing, media: {audio, video}, recording, joinedAt }
+//   locations: userId -> { lat, lng, accuracy, heading, speed, altitude, timestamp, approximate }
+//   tracks:    userId -> [{ lat, lng, altitude, timestamp }], oldest first
+//   knocks:    userId -> { socketId, name, color }   (users waiting for owner approval)
+//   chat:      [{ id, userId, name, color, text, timestamp }], oldest first
+//   geofences: geofenceId -> geofence (see geofences.js), plus the set of users inside each
+//   banned:    userIds the owner kicked out, who may not come back
+//
+// Store methods:
+//   createRoom(roomId, meta) -> false if the room already exists
+//   listRooms() -> [roomId]
+//   getRoom(roomId) -> meta | null, updateRoom(roomId, fields), deleteRoom(roomId)
+//   getUsers(roomId) -> [{ userId, ...user }] longest-present first
+//   getUser(roomId, userId) -> user | null, setUser(roomId, userId, user), updateUser(roomId, userId, fields)
+//   removeUser(roomId, userId) -> number of users left
+//   getLocations(roomId) -> [{ userId, ...location }]
+//   addLocation(roomId, userId, location, historyLimit) - also extends the user's track
+//   removeLocation(roomId, userId) - forgets the user's location and track
+//   getTracks(roomId) -> [{ userId, points }]
+//   addKnock(roomId, userId, knock), getKnock(roomId, userId) -> knock | null, getKnocks(roomId) -> [{ userId, ...knock }]
+//   removeKnock(roomId, userId) -> the removed knock | null
+//   addChatMessage(roomId, message, historyLimit), getChat(roomId)
+//   addGeofence(roomId, geofence, insideUserIds), getGeofences(roomId), getGeofence(roomId, geofenceId), removeGeofence(roomId, geofenceId)
+//   setGeofencePresence(roomId, geofenceId, userId, inside) -> true if that changed whether the user is inside
+//   forgetGeofencePresence(roomId, userId)
+//   banUser(roomId, userId), isBanned(roomId, userId) -> bool
+
+// Standing still doesn't add points to a track
+function isNewTrackPoint(last, location) {
+  return !last || last.lat !== location.lat || last.lng !== location.lng;
+}
+
+function toTrackPoint({ lat, lng, altitude, timestamp }) {
+  return { lat, lng, altitude, timestamp };
+}
+
+function byJoinTime(a, b) {
+  return a.joinedAt - b.joinedAt;
+}
+
+// ============================================================================
+// In-memory store (default): state is lost on restart and not shared between processes
+// ============================================================================
+
+function createMemoryStore() {
+  const rooms = new Map();
+
+  // Callers may hold on to a room id after it was deleted - writes to it are dropped
+  const withRoom = (roomId, fn, fallback = null) => {
+    const room = rooms.get(roomId);
+    return room ? fn(room) : fallback;
+  };
+
+  return {
+    async createRoom(roomId, meta) {
+      if (rooms.has(roomId)) return false;
+      rooms.set(roomId, {
+        meta: { ...meta },
+        users: new Map(),
+        locations: new Map(),
+        tracks: new Map(),
+        knocks: new Map(),
+        chat: [],
+        geofences: new Map(), // geofenceId -> { geofence, inside: Set<userId> }
+        banned: new Set()
+      });
+      return true;
+    },
+
+    async listRooms() {
+      return Array.from(rooms.keys());
+    },
+
+    async getRoom(roomId) {
+      return withRoom(roomId, room => ({ ...room.meta }));
+    },
+
+    async updateRoom(roomId, fields) {
+      withRoom(roomId, room => Object.assign(room.meta, fields));
+    },
+
+    async deleteRoom(roomId) {
+      rooms.delete(roomId);
+    },
+
+    async getUsers(roomId) {
+      return withRoom(roomId, room => Array.from(room.users.entries())
+        .map(([userId, user]) => ({ userId, ...user }))
+        .sort(byJoinTime), []);
+    },
+
+    async getUser(roomId, userId) {
+      return withRoom(roomId, room => (room.users.has(userId) ? { ...room.users.get(userId) } : null));
+    },
+
+    async setUser(roomId, userId, user) {
+      withRoom(roomId, room => room.users.set(userId, { ...user }));
+    },
+
+    async updateUser(roomId, userId, fields) {
+      withRoom(roomId, room => {
+        if (room.users.has(userId)) {
+          Object.assign(room.users.get(userId), fields);
+        }
+      });
+    },
+
+    async removeUser(roomId, userId) {
+      return withRoom(roomId, room => {
+        room.users.delete(userId);
+        return room.users.size;
+      }, 0);
+    },
+
+    async getLocations(roomId) {
+      return withRoom(roomId, room => Array.from(room.locations.entries())
+        .map(([userId, location]) => ({ userId, ...location })), []);
+    },
+
+    async addLocation(roomId, userId, location, historyLimit) {
+      withRoom(roomId, room => {
+        room.locations.set(userId, { ...location });
+
+        if (!room.tracks.has(userId)) {
+          room.tracks.set(userId, []);
+        }
+        const track = room.tracks.get(userId);
+        if (isNewTrackPoint(track[track.length - 1], location)) {
+          track.push(toTrackPoint(location));
+          if (track.length > historyLimit) {
+            track.shift();
+          }
+        }
+      });
+    },
+
+    async removeLocation(roomId, userId) {
+      withRoom(roomId, room => {
+        room.locations.delete(userId);
+        room.tracks.delete(userId);
+      });
+    },
+
+    async getTracks(roomId) {
+      return withRoom(roomId, room => Array.from(room.tracks.entries())
+        .map(([userId, points]) => ({ userId, points: points.slice() })), []);
+    },
+
+    async addKnock(roomId, userId, knock) {
+      withRoom(roomId, room => room.knocks.set(userId, { ...knock }));
+    },
+
+    async getKnock(roomId, userId) {
+      return withRoom(roomId, room => room.knocks.get(userId) || null);
+    },
+
+    async getKnocks(roomId) {
+      return withRoom(roomId, room => Array.from(room.knocks.entries())
+        .map(([userId, knock]) => ({ userId, ...knock })), []);
+    },
+
+    async removeKnock(roomId, userId) {
+      return withRoom(roomId, room => {
+        const knock = room.knocks.get(userId) || null;
+        room.knocks.delete(userId);
+        return knock;
+      });
+    },
+
+    async addChatMessage(roomId, message, historyLimit) {
+      withRoom(roomId, room => {
+        room.chat.push(message);
+        if (room.chat.length > historyLimit) {
+          room.chat.shift();
+        }
+      });
+    },
+
+    async getChat(roomId) {
+      return withRoom(roomId, room => room.chat.slice(), []);
+    },
+
+    async addGeofence(roomId, geofence, insideUserIds) {
+      withRoom(roomId, room => room.geofences.set(geofence.id, { geofence, inside: new Set(insideUserIds) }));
+    },
+
+    async getGeofences(roomId) {
+      return withRoom(roomId, room => Array.from(room.geofences.values()).map(({ geofence }) => geofence), []);
+    },
+
+    async getGeofence(roomId, geofenceId) {
+      return withRoom(roomId, room => (room.geofences.has(geofenceId) ? room.geofences.get(geofenceId).geofence : null));
+    },
+
+    async removeGeofence(roomId, geofenceId) {
+      withRoom(roomId, room => room.geofences.delete(geofenceId));
+    },
+
+    async setGeofencePresence(roomId, geofenceId, userId, inside) {
+      return withRoom(roomId, room => {
+        const entry = room.geofences.get(geofenceId);
+        if (!entry || inside === entry.inside.has(userId)) return false;
+
+        if (inside) {
+          entry.inside.add(userId);
+        } else {
+          entry.inside.delete(userId);
+        }
+        return true;
+      }, false);
+    },
+
+    async forgetGeofencePresence(roomId, userId) {
+      withRoom(roomId, room => room.geofences.forEach(({ inside }) => inside.delete(userId)));
+    },
+
+    async banUser(roomId, userId) {
+      withRoom(roomId, room => room.banned.add(userId));
+    },
+
+    async isBanned(roomId, userId) {
+      return withRoom(roomId, room => room.banned.has(userId), false);
+    }
+  };
+}
+
+// ============================================================================
+// Redis store: every server instance sees the same rooms
+// `client` is a connected node-redis (v4) client
+// ============================================================================
+//
+// Keys (all JSON values), <room> being the room id in base64url - room ids may contain ':' themselves,
+// so "a:users" must not end up as the users hash of room "a":
+//   realtime-app:rooms                             set   ids of all rooms
+//   realtime-app:room:<room>                       hash  meta field -> value
+//   realtime-app:room:<room>:users                 hash  userId -> user
+//   realtime-app:room:<room>:locations             hash  userId -> location
+//   realtime-app:room:<room>:track:<userId>        list  track points
+//   realtime-app:room:<room>:knocks                hash  userId -> knock
+//   realtime-app:room:<room>:chat                  list  messages
+//   realtime-app:room:<room>:geofences             hash  geofenceId -> geofence
+//   realtime-app:room:<room>:inside:<geofenceId>   set   userIds inside the geofence
+//   realtime-app:room:<room>:banned                set   userIds kicked out of the room
+// (user and geofence ids are generated by the server, so they never contain ':')
+
+const KEY_PREFIX = 'realtime-app:room:';
+const ROOM_IDS_KEY = 'realtime-app:rooms';
+
+// Create the meta hash (and list the room) only if the room doesn't exist yet, in one step
+// (two instances may see the same room's first joiners at once)
+// KEYS: meta hash, room id set - ARGV: room id, then the meta fields and values
+const CREATE_ROOM_SCRIPT = `
+if redis.call('EXISTS', KEYS[1]) == 1 then
+  return 0
+end
+redis.call('HSET', KEYS[1], unpack(ARGV, 2))
+redis.call('SADD', KEYS[2], ARGV[1])
+return 1
+`;
+
+// Run writes only while the room exists, in one step - like the memory store's withRoom, so a write that
+// arrives after the room was deleted doesn't recreate its keys (which nothing would ever remove)
+// KEYS: meta hash, then every key written - ARGV: JSON list of [command, index into KEYS, ...arguments]
+// Returns the commands' replies, or nil if the room is gone
+const ROOM_WRITE_SCRIPT = `
+if redis.call('EXISTS', KEYS[1]) == 0 then
+  return false
+end
+local replies = {}
+for i, command in ipairs(cjson.decode(ARGV[1])) do
+  replies[i] = redis.call(command[1], KEYS[command[2]], unpack(command, 3))
+end
+return replies
+`;
+
+function createRedisStore(client) {
+  const keys = (roomId) => {
+    const room = `${KEY_PREFIX}${Buffer.from(roomId).toString('base64url')}`;
+    return {
+      room,
+      users: `${room}:users`,
+      locations: `${room}:locations`,
+      track: (userId) => `${room}:track:${userId}`,
+      knocks: `${room}:knocks`,
+      chat: `${room}:chat`,
+      geofences: `${room}:geofences`,
+      inside: (geofenceId) => `${room}:inside:${geofenceId}`,
+      banned: `${room}:banned`
+    };
+  };
+
+  const parse = (value) => (value === null || value === undefined ? null : JSON.parse(value));
+  const encodeFields = (fields) => Object.entries(fields).flatMap(([field, value]) => [field, JSON.stringify(value)]);
+  const parseHash = (hash) => Object.entries(hash).map(([id, value]) => [id, JSON.parse(value)]);
+
+  async function getUser(roomId, userId) {
+    return parse(await client.hGet(keys(roomId).users, userId));
+  }
+
+  // commands: [[command, key, ...arguments]] -> their replies, or null if the room no longer exists
+  function writeToRoom(roomId, commands) {
+    const roomKeys = [keys(roomId).room];
+    const encoded = commands.map(([command, key, ...args]) => {
+      if (!roomKeys.includes(key)) roomKeys.push(key);
+      return [command, roomKeys.indexOf(key) + 1, ...args];
+    });
+    return client.eval(ROOM_WRITE_SCRIPT, { keys: roomKeys, arguments: [JSON.stringify(encoded)] });
+  }
+
+  return {
+    async createRoom(roomId, meta) {
+      const created = await client.eval(CREATE_ROOM_SCRIPT, {
+        keys: [keys(roomId).room, ROOM_IDS_KEY],
+        arguments: [roomId, ...encodeFields(meta)]
+      });
+      return created === 1;
+    },
+
+    async listRooms() {
+      return client.sMembers(ROOM_IDS_KEY);
+    },
+
+    async getRoom(roomId) {
+      const hash = await client.hGetAll(keys(roomId).room);
+      const fields = parseHash(hash);
+      return fields.length > 0 ? Object.fromEntries(fields) : null;
+    },
+
+    async updateRoom(roomId, fields) {
+      await writeToRoom(roomId, [['HSET', keys(roomId).room, ...encodeFields(fields)]]);
+    },
+
+    async deleteRoom(roomId) {
+      const roomKeys = keys(roomId);
+      const [userIds, geofenceIds] = await Promise.all([
+        client.hKeys(roomKeys.users),
+        client.hKeys(roomKeys.geofences)
+      ]);
+      await client.sRem(ROOM_IDS_KEY, roomId);
+      await client.del([
+        roomKeys.room,
+        roomKeys.users,
+        roomKeys.locations,
+        roomKeys.knocks,
+        roomKeys.chat,
+        roomKeys.geofences,
+        roomKeys.banned,
+        ...userIds.map(roomKeys.track),
+        ...geofenceIds.map(roomKeys.inside)
+      ]);
+    },
+
+    async getUsers(roomId) {
+      const users = parseHash(await client.hGetAll(keys(roomId).users));
+      return users.map(([userId, user]) => ({ userId, ...user })).sort(byJoinTime);
+    },
+
+    getUser,
+
+    async setUser(roomId, userId, user) {
+      await writeToRoom(roomId, [['HSET', keys(roomId).users, userId, JSON.stringify(user)]]);
+    },
+
+    // Only the user's own connection updates their record, so read-modify-write is safe
+    async updateUser(roomId, userId, fields) {
+      const user = await getUser(roomId, userId);
+      if (user) {
+        await writeToRoom(roomId, [['HSET', keys(roomId).users, userId, JSON.stringify({ ...user, ...fields })]]);
+      }
+    },
+
+    async removeUser(roomId, userId) {
+      const [, remaining] = await client.multi()
+        .hDel(keys(roomId).users, userId)
+        .hLen(keys(roomId).users)
+        .exec();
+      return remaining;
+    },
+
+    async getLocations(roomId) {
+      const locations = parseHash(await client.hGetAll(keys(roomId).locations));
+      return locations.map(([userId, location]) => ({ userId, ...location }));
+    },
+
+    async addLocation(roomId, userId, location, historyLimit) {
+      const roomKeys = keys(roomId);
+      const trackKey = roomKeys.track(userId);
+      const last = parse(await client.lIndex(trackKey, -1));
+
+      const commands = [['HSET', roomKeys.locations, userId, JSON.stringify(location)]];
+      if (isNewTrackPoint(last, location)) {
+        commands.push(
+          ['RPUSH', trackKey, JSON.stringify(toTrackPoint(location))],
+          ['LTRIM', trackKey, -historyLimit, -1]
+        );
+      }
+      await writeToRoom(roomId, commands);
+    },
+
+    async removeLocation(roomId, userId) {
+      const roomKeys = keys(roomId);
+      await client.multi()
+        .hDel(roomKeys.locations, userId)
+        .del(roomKeys.track(userId))
+        .exec();
+    },
+
+    // Everyone with a track also has a location
+    async getTracks(roomId) {
+      const roomKeys = keys(roomId);
+      const userIds = await client.hKeys(roomKeys.locations);
+      const tracks = await Promise.all(userIds.map(userId => client.lRange(roomKeys.track(userId), 0, -1)));
+      return userIds
+        .map((userId, i) => ({ userId, points: tracks[i].map(point => JSON.parse(point)) }))
+        .filter(({ points }) => points.length > 0);
+    },
+
+    async addKnock(roomId, userId, knock) {
+      await writeToRoom(roomId, [['HSET', keys(roomId).knocks, userId, JSON.stringify(knock)]]);
+    },
+
+    async getKnock(roomId, userId) {
+      return parse(await client.hGet(keys(roomId).knocks, userId));
+    },
+
+    async getKnocks(roomId) {
+      const knocks = parseHash(await client.hGetAll(keys(roomId).knocks));
+      return knocks.map(([userId, knock]) => ({ userId, ...knock }));
+    },
+
+    // Read and delete together, so only one owner response (or cancel) wins
+    async removeKnock(roomId, userId) {
+      const [knock, removed] = await client.multi()
+        .hGet(keys(roomId).knocks, userId)
+        .hDel(keys(roomId).knocks, userId)
+        .exec();
+      return removed > 0 ? parse(knock) : null;
+    },
+
+    async addChatMessage(roomId, message, historyLimit) {
+      const chatKey = keys(roomId).chat;
+      await writeToRoom(roomId, [
+        ['RPUSH', chatKey, JSON.stringify(message)],
+        ['LTRIM', chatKey, -historyLimit, -1]
+      ]);
+    },
+
+    async getChat(roomId) {
+      const messages = await client.lRange(keys(roomId).chat, 0, -1);
+      return messages.map(message => JSON.parse(message));
+    },
+
+    async addGeofence(roomId, geofence, insideUserIds) {
+      const roomKeys = keys(roomId);
+      const commands = [['HSET', roomKeys.geofences, geofence.id, JSON.stringify(geofence)]];
+      if (insideUserIds.length > 0) {
+        commands.push(['SADD', roomKeys.inside(geofence.id), ...insideUserIds]);
+      }
+      await writeToRoom(roomId, commands);
+    },
+
+    async getGeofences(roomId) {
+      const geofences = await client.hVals(keys(roomId).geofences);
+      return geofences.map(geofence => JSON.parse(geofence));
+    },
+
+    async getGeofence(roomId, geofenceId) {
+      return parse(await client.hGet(keys(roomId).geofences, geofenceId));
+    },
+
+    async removeGeofence(roomId, geofenceId) {
+      const roomKeys = keys(roomId);
+      await client.multi()
+        .hDel(roomKeys.geofences, geofenceId)
+        .del(roomKeys.inside(geofenceId))
+        .exec();
+    },
+
+    // SADD/SREM report whether the set changed, so each enter/exit is announced by exactly one instance
+    async setGeofencePresence(roomId, geofenceId, userId, inside) {
+      const insideKey = keys(roomId).inside(geofenceId);
+      if (!inside) {
+        return (await client.sRem(insideKey, userId)) > 0;
+      }
+      const replies = await writeToRoom(roomId, [['SADD', insideKey, userId]]);
+      return replies !== null && replies[0] > 0;
+    },
+
+    async forgetGeofencePresence(roomId, userId) {
+      const roomKeys = keys(roomId);
+      const geofenceIds = await client.hKeys(roomKeys.geofences);
+      if (geofenceIds.length === 0) return;
+
+      const transaction = client.multi();
+      geofenceIds.forEach(geofenceId => transaction.sRem(roomKeys.inside(geofenceId), userId));
+      await transaction.exec();
+    },
+
+    async banUser(roomId, userId) {
+      await writeToRoom(roomId, [['SADD', keys(roomId).banned, userId]]);
+    },
+
+    async isBanned(roomId, userId) {
+      return client.sIsMember(keys(roomId).banned, userId);
+    }
+  };
+}
+
+module.exports = { createMemoryStore, createRedisStore };
@@ -2,6 +2,18 @@ const express = require('express');
 const http = require('http');
 const { Server } = require('socket.io');
 const cors = require('cors');
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { validatePayload } = require('./validation');
+const { createSocketRateLimiter, createRequestRateLimiter } = require('./rate-limit');
+const { SFU_CONFIG, isSfuAvailable, createSfuRoom } = require('./sfu');
+const { toGpx, toGeoJson } = require('./tracks');
+const { MAX_GEOFENCES_PER_ROOM, createGeofence, containsPoint } = require('./geofences');
+const { createMemoryStore, createRedisStore } = require('./room-store');
+const { createAdminRouter } = require('./admin');
+const { createFileEventLog, createRedisEventLog, createNullEventLog } = require('./event-log');
+const { createClient } = require('redis');
+const { createAdapter } = require('@socket.io/redis-adapter');
 
 const app = express();
 const server = http.createServer(app);
@@ -11,7 +23,9 @@ const io = new Server(server, {
   cors: {
     origin: '*',
     methods: ['GET', 'POST']
-  }
+  },
+  // Largest accepted message (SDP offers are the biggest legitimate payloads)
+  maxHttpBufferSize: 64 * 1024
 });
 
 app.use(cors());
@@ -21,130 +35,1239 @@ app.use(express.json());
 const path = require('path');
 app.use(express.static(path.join(__dirname, '../client')));
 
-// Store room data: { roomId: { users: Set<socketId>, locations: Map<socketId, {lat, lng}> } }
-const rooms = new Map();
+// Leaflet for the OpenStreetMap map provider, so the client also works without internet access
+// (set MAP_CONFIG.leafletUrl to '/vendor/leaflet' in client/main.js)
+app.use('/vendor/leaflet', express.static(path.join(path.dirname(require.resolve('leaflet/package.json')), 'dist')));
+
+// ICE server configuration (all from environment variables)
+// STUN_URLS       - comma-separated STUN URLs (defaults to Google's public STUN)
+// TURN_URLS       - comma-separated TURN/TURNS URLs
+// TURN_SECRET     - shared secret for TURN REST API credentials (coturn `use-auth-secret`)
+// TURN_USERNAME / TURN_CREDENTIAL - static credentials, used only if TURN_SECRET is not set
+// TURN_TTL        - lifetime of ephemeral credentials in seconds (default 3600)
+const ICE_CONFIG = {
+  stunUrls: parseUrlList(process.env.STUN_URLS) || [
+    'stun:stun.l.google.com:19302',
+    'stun:stun1.l.google.com:19302'
+  ],
+  turnUrls: parseUrlList(process.env.TURN_URLS) || [],
+  turnSecret: process.env.TURN_SECRET || '',
+  turnUsername: process.env.TURN_USERNAME || '',
+  turnCredential: process.env.TURN_CREDENTIAL || '',
+  ttl: parseInt(process.env.TURN_TTL, 10) || 3600
+};
+
+function parseUrlList(value) {
+  if (!value) return null;
+  const urls = value.split(',').map(url => url.trim()).filter(Boolean);
+  return urls.length > 0 ? urls : null;
+}
+
+// Build the ICE server list for one client.
+// With TURN_SECRET set, credentials follow the TURN REST API scheme:
+// username = "<expiry unix timestamp>:<user id>", credential = base64(HMAC-SHA1(secret, username))
+function getIceServers(userId) {
+  const iceServers = ICE_CONFIG.stunUrls.map(urls => ({ urls }));
+
+  if (ICE_CONFIG.turnUrls.length === 0) {
+    return { iceServers, ttl: ICE_CONFIG.ttl };
+  }
+
+  if (ICE_CONFIG.turnSecret) {
+    const expiry = Math.floor(Date.now() / 1000) + ICE_CONFIG.ttl;
+    const username = `${expiry}:${userId}`;
+    const credential = crypto
+      .createHmac('sha1', ICE_CONFIG.turnSecret)
+      .update(username)
+      .digest('base64');
+    iceServers.push({ urls: ICE_CONFIG.turnUrls, username, credential });
+  } else if (ICE_CONFIG.turnUsername && ICE_CONFIG.turnCredential) {
+    iceServers.push({
+      urls: ICE_CONFIG.turnUrls,
+      username: ICE_CONFIG.turnUsername,
+      credential: ICE_CONFIG.turnCredential
+    });
+  } else {
+    console.warn('TURN_URLS is set but neither TURN_SECRET nor TURN_USERNAME/TURN_CREDENTIAL are configured');
+  }
+
+  return { iceServers, ttl: ICE_CONFIG.ttl };
+}
+
+// Room, user and location state (see room-store.js), keyed by room id and stable user id
+// With REDIS_URL set it lives in Redis and the Socket.IO Redis adapter carries broadcasts between
+// instances, so several servers can run behind a load balancer; otherwise it is kept in memory
+const REDIS_URL = process.env.REDIS_URL || '';
+const redisClient = REDIS_URL ? createClient({ url: REDIS_URL }) : null;
+const store = redisClient ? createRedisStore(redisClient) : createMemoryStore();
+
+// Append-only log of joins, leaves, locations and signaling (see event-log.js), for room timelines and replay
+// A room's log is deleted along with the room. With REDIS_URL it is kept in Redis, shared by every instance
+// EVENT_LOG_DIR            - where to write it (default events/ next to server.js), 'off' to keep no log at all
+// EVENT_LOG_MAX_MB         - size of one room's log file before it is rotated, keeping one older file (default 10)
+// EVENT_LOG_MAX_EVENTS     - events kept per room in Redis (default 50000)
+// EVENT_LOG_RETENTION_DAYS - logs of rooms with no activity for this long are deleted (default 7)
+const EVENT_LOG_DIR = process.env.EVENT_LOG_DIR || path.join(__dirname, 'events');
+const EVENT_LOG_MAX_AGE = Math.round((parseFloat(process.env.EVENT_LOG_RETENTION_DAYS) || 7) * 24 * 60 * 60 * 1000);
+
+function createEventLog() {
+  if (EVENT_LOG_DIR === 'off') {
+    return createNullEventLog();
+  }
+  if (redisClient) {
+    return createRedisEventLog(redisClient, {
+      maxEvents: parseInt(process.env.EVENT_LOG_MAX_EVENTS, 10) || 50000,
+      maxAge: EVENT_LOG_MAX_AGE
+    });
+  }
+  return createFileEventLog(EVENT_LOG_DIR, {
+    maxBytes: (parseFloat(process.env.EVENT_LOG_MAX_MB) || 10) * 1024 * 1024,
+    maxAge: EVENT_LOG_MAX_AGE
+  });
+}
+
+const eventLog = createEventLog();
+
+// Most events a timeline request returns (the client asks for the rest with ?since=)
+const TIMELINE_LIMIT = 10000;
+
+// Timeline requests per client IP address: a burst of 10 (a long replay takes several pages), then one every 2s
+const timelineRateLimiter = createRequestRateLimiter({ capacity: 10, refill: 0.5 });
+
+// SFU routers can't be shared between processes, so they stay with the instance that started them:
+// Map<roomId, {sfu: SFU room (see sfu.js) | null, starting: boolean, warned: boolean}>
+const sfuRooms = new Map();
+
+// Number of chat messages kept per room and replayed to people who join later
+const CHAT_HISTORY_LIMIT = parseInt(process.env.CHAT_HISTORY_LIMIT, 10) || 100;
+
+// Number of positions kept per user for trails and track export
+const LOCATION_HISTORY_LIMIT = parseInt(process.env.LOCATION_HISTORY_LIMIT, 10) || 500;
+
+// Seconds a dropped connection stays in its room, waiting for the client to resume the session
+// (0 removes users as soon as their connection drops)
+const RECONNECT_GRACE_PERIOD = parseInt(process.env.RECONNECT_GRACE_PERIOD ?? '30', 10) || 0;
+
+// Secret used to sign room invite tokens and user identity tokens
+// Without ROOM_TOKEN_SECRET a random one is generated, so invites and identities reset after a restart
+// (and with several instances, every instance must be given the same one)
+const ROOM_TOKEN_SECRET = process.env.ROOM_TOKEN_SECRET || crypto.randomBytes(32).toString('hex');
+const INVITE_TTL = parseInt(process.env.INVITE_TTL, 10) || 24 * 60 * 60; // seconds
+
+// scrypt is slow on purpose - run it off the event loop so other sockets aren't kept waiting
+const scrypt = promisify(crypto.scrypt);
+
+async function hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+  const hash = (await scrypt(password, salt, 32)).toString('hex');
+  return { salt, hash };
+}
+
+async function checkPassword(password, passwordHash) {
+  if (typeof password !== 'string') return false;
+  const { hash } = await hashPassword(password, passwordHash.salt);
+  return crypto.timingSafeEqual(Buffer.from(hash, 'hex'), Buffer.from(passwordHash.hash, 'hex'));
+}
+
+// The room's inviteNonce is signed too: it is new for every room created, so an invite dies with its
+// room instead of also opening a later room that happens to get the same id
+function signInvite(roomId, room, expiry) {
+  return crypto
+    .createHmac('sha256', ROOM_TOKEN_SECRET)
+    .update(`${roomId}:${room.inviteNonce}:${expiry}`)
+    .digest('base64url');
+}
+
+// Invite tokens look like "<expiry unix timestamp>.<signature>" and are bound to one room
+function createInviteToken(roomId, room) {
+  const expiry = Math.floor(Date.now() / 1000) + INVITE_TTL;
+  return `${expiry}.${signInvite(roomId, room, expiry)}`;
+}
+
+function verifyInviteToken(roomId, room, token) {
+  if (typeof token !== 'string') return false;
+  const [expiryStr, signature] = token.split('.');
+  const expiry = parseInt(expiryStr, 10);
+  if (!expiry || !signature || expiry < Date.now() / 1000) return false;
+
+  const expected = Buffer.from(signInvite(roomId, room, expiry));
+  const actual = Buffer.from(signature);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// Identity tokens look like "<userId>.<signature>"
+// The server issues them on first join; clients keep them in localStorage to stay the same user
+function createIdentityToken(userId) {
+  const signature = crypto.createHmac('sha256', ROOM_TOKEN_SECRET).update(`user:${userId}`).digest('base64url');
+  return `${userId}.${signature}`;
+}
+
+// Returns the user id from a valid identity token, or null
+function verifyIdentityToken(token) {
+  if (typeof token !== 'string') return null;
+  const userId = token.slice(0, token.lastIndexOf('.'));
+  if (!userId) return null;
+
+  const expected = Buffer.from(createIdentityToken(userId));
+  const actual = Buffer.from(token);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual) ? userId : null;
+}
+
+const AVATAR_COLORS = ['#e53935', '#8e24aa', '#3949ab', '#039be5', '#00897b', '#7cb342', '#fdd835', '#fb8c00', '#6d4c41'];
+
+// Display name and avatar color, with defaults derived from the user id
+function getProfile(userId, name, color) {
+  const trimmedName = typeof name === 'string' ? name.trim() : '';
+  const hash = crypto.createHash('md5').update(userId).digest();
+  return {
+    name: trimmedName || `User ${userId.substring(0, 8)}`,
+    color: color || AVATAR_COLORS[hash[0] % AVATAR_COLORS.length]
+  };
+}
+
+// Public info about a room member
+function getMemberInfo(userId, member) {
+  const { name, color, screenSharing, media, recording } = member;
+  return { userId, name, color, screenSharing, media, recording };
+}
+
+// What a signaling message carries, for the event log - the SDP and candidates themselves stay out of it
+function getSignalKind(signal) {
+  const type = signal.description && signal.description.type;
+  if (['offer', 'answer', 'pranswer', 'rollback'].includes(type)) return type;
+  return signal.candidate ? 'candidate' : 'other';
+}
+
+// Public room settings sent to clients
+function getRoomSettings(room) {
+  return {
+    ownerId: room.ownerId,
+    locked: room.locked,
+    hasPassword: Boolean(room.passwordHash)
+  };
+}
+
+function getSfu(roomId) {
+  const sfuRoom = sfuRooms.get(roomId);
+  return sfuRoom ? sfuRoom.sfu : null;
+}
+
+// Send an event to the room owner's socket, on whichever instance it is connected
+async function notifyOwner(roomId, ownerId, event, payload) {
+  const owner = await store.getUser(roomId, ownerId);
+  if (owner) {
+    io.to(owner.socketId).emit(event, payload);
+  }
+}
+
+// Token that lets a session be resumed after a dropped connection (good for one resume, then replaced)
+function createResumeToken() {
+  return crypto.randomBytes(16).toString('base64url');
+}
+
+// Add a socket to a room and send it the current room state
+async function admitToRoom(socket, roomId) {
+  const userId = socket.userId;
+  const previous = await store.getUser(roomId, userId);
+
+  // Media is off until the client starts its call and reports its media-state
+  const member = {
+    socketId: socket.id,
+    ...socket.profile,
+    screenSharing: false,
+    media: { audio: false, video: false },
+    recording: 'stopped',
+    joinedAt: previous ? previous.joinedAt : Date.now(), // keeps a reconnecting user's place in line for ownership
+    resumeToken: createResumeToken()
+  };
+  await store.setUser(roomId, userId, member);
+  socket.join(roomId);
+  socket.roomId = roomId;
+
+  console.log(`User ${userId} (${socket.profile.name}) joined room ${roomId}`);
+  eventLog.append(roomId, 'join', { userId, name: member.name, color: member.color });
+
+  // Notify others in the room about the new user
+  socket.to(roomId).emit('user-joined', getMemberInfo(userId, member));
+
+  // Send current room state to the new user
+  const state = await getRoomState(roomId, userId, member);
+  if (!state) return;
+  socket.emit('room-state', state);
+
+  const userCount = state.users.length + 1;
+  if (state.mode === 'mesh' && userCount >= SFU_CONFIG.threshold) {
+    switchToSfu(roomId, userCount);
+  }
+}
+
+// Everything a member needs to (re)build the room: the 'room-state' and 'session-resumed' payload
+async function getRoomState(roomId, userId, member) {
+  const [room, users, locations, tracks, geofences, chat] = await Promise.all([
+    store.getRoom(roomId),
+    store.getUsers(roomId),
+    store.getLocations(roomId),
+    store.getTracks(roomId),
+    store.getGeofences(roomId),
+    store.getChat(roomId)
+  ]);
+  if (!room) return null;
+
+  return {
+    self: { ...getMemberInfo(userId, member), identity: createIdentityToken(userId) },
+    resumeToken: member.resumeToken,
+    users: users
+      .filter(user => user.userId !== userId)
+      .map(user => getMemberInfo(user.userId, user)),
+    locations,
+    tracks,
+    geofences,
+    chat,
+    mode: room.mode,
+    ...getRoomSettings(room)
+  };
+}
+
+// Admit a socket that may be connected to another instance (an approved knocker)
+function admitSocket(socketId, roomId) {
+  const socket = io.sockets.sockets.get(socketId);
+  if (socket) {
+    socket.knockingRoomId = null;
+    return admitToRoom(socket, roomId);
+  }
+  if (redisClient) {
+    io.serverSideEmit('admit-socket', { socketId, roomId });
+  }
+}
+
+// Another instance approved a knock from one of our sockets
+io.on('admit-socket', ({ socketId, roomId }) => {
+  const socket = io.sockets.sockets.get(socketId);
+  if (!socket) return;
+
+  socket.knockingRoomId = null;
+  admitToRoom(socket, roomId).catch(error => {
+    console.error(`Could not admit ${socketId} to room ${roomId}:`, error);
+  });
+});
+
+// Too many users for a mesh: move the room to the SFU for as long as it exists
+async function switchToSfu(roomId, userCount) {
+  if (!sfuRooms.has(roomId)) {
+    sfuRooms.set(roomId, { sfu: null, starting: false, warned: false });
+  }
+  const sfuRoom = sfuRooms.get(roomId);
+  if (sfuRoom.starting || sfuRoom.sfu) return;
+
+  // Members of one room may be connected to different instances, each with its own mediasoup
+  if (!isSfuAvailable() || redisClient) {
+    if (!sfuRoom.warned) {
+      const reason = redisClient ? 'SFU mode is not available with REDIS_URL' : 'mediasoup is not installed';
+      console.warn(`Room ${roomId} has ${userCount} users but ${reason} - staying in mesh mode`);
+      sfuRoom.warned = true;
+    }
+    return;
+  }
+
+  sfuRoom.starting = true;
+  try {
+    const sfu = await createSfuRoom();
+
+    // The room may have emptied while the router was starting
+    if (sfuRooms.get(roomId) !== sfuRoom) {
+      sfu.close();
+      return;
+    }
+
+    sfuRoom.sfu = sfu;
+    await store.updateRoom(roomId, { mode: 'sfu' });
+    console.log(`Room ${roomId} switched to SFU mode (${userCount} users)`);
+    io.to(roomId).emit('room-mode', { roomId, mode: 'sfu' });
+  } catch (error) {
+    console.error(`Could not start the SFU for room ${roomId}:`, error);
+  } finally {
+    sfuRoom.starting = false;
+  }
+}
+
+// A user reconnected (e.g. page refresh) while their old socket is still in the room:
+// move the membership to the new socket, keeping their location and ownership
+async function reclaimMembership(socket, roomId, member) {
+  const oldSocketId = member.socketId;
+  const replaced = oldSocketId !== socket.id;
+  if (replaced) {
+    io.in(oldSocketId).socketsLeave(roomId);
+  }
+  // The old connection's media is dead - the new one publishes again
+  const sfu = getSfu(roomId);
+  if (sfu) {
+    sfu.closePeer(socket.userId);
+  }
+
+  console.log(`User ${socket.userId} reclaimed their membership of room ${roomId}`);
+  await admitToRoom(socket, roomId);
+
+  // Only now that the membership points at the new socket, so the old one's disconnect leaves it alone
+  if (replaced) {
+    io.to(oldSocketId).emit('session-replaced', { roomId });
+    io.in(oldSocketId).disconnectSockets(true);
+  }
+}
+
+// The connection dropped: keep the user in the room for the grace period, then remove them
+// unless they resumed (or rejoined) on a new connection in the meantime
+async function holdForReconnect(socket) {
+  const { roomId, userId, id: socketId } = socket;
+  socket.roomId = null;
+
+  // Nothing to hold if they were removed (or took over from another connection) meanwhile
+  const member = await store.getUser(roomId, userId);
+  if (!member || member.socketId !== socketId) return;
+
+  console.log(`User ${userId} lost their connection to room ${roomId} - holding their place for ${RECONNECT_GRACE_PERIOD}s`);
+  io.to(roomId).emit('user-reconnecting', { userId });
+
+  setTimeout(() => {
+    leaveRoom(userId, roomId, socketId)
+      .then(removed => {
+        if (removed) {
+          console.log(`User ${userId} did not come back to room ${roomId}`);
+          io.to(roomId).emit('user-left', { userId });
+        }
+      })
+      .catch(error => console.error(`Could not remove ${userId} from room ${roomId}:`, error));
+  }, RECONNECT_GRACE_PERIOD * 1000);
+}
+
+// Remove a socket from its current room and notify the remaining members
+async function removeFromRoom(socket) {
+  const roomId = socket.roomId;
+  if (!roomId) return;
+
+  socket.leave(roomId);
+  socket.roomId = null;
+  if (await leaveRoom(socket.userId, roomId, socket.id)) {
+    io.to(roomId).emit('user-left', { userId: socket.userId });
+  }
+}
+
+// Forget the room on a member's socket once they have been removed from it, so nothing it sends
+// afterwards counts as coming from the room (sockets on other instances fail getMember instead)
+function detachSocket(socketId, roomId) {
+  const memberSocket = io.sockets.sockets.get(socketId);
+  if (memberSocket && memberSocket.roomId === roomId) {
+    memberSocket.roomId = null;
+  }
+}
+
+// Clean up room data
+// Returns false if socketId is no longer the user's connection (a newer one took over, or they were removed)
+async function leaveRoom(userId, roomId, socketId) {
+  const member = await store.getUser(roomId, userId);
+  if (!member || member.socketId !== socketId) {
+    return false;
+  }
+
+  await store.removeLocation(roomId, userId);
+  await store.forgetGeofencePresence(roomId, userId);
+  const remaining = await store.removeUser(roomId, userId);
+  eventLog.append(roomId, 'leave', { userId });
+  const sfu = getSfu(roomId);
+  if (sfu) {
+    sfu.closePeer(userId);
+  }
+
+  if (remaining === 0) {
+    await deleteEmptyRoom(roomId);
+    return true;
+  }
+
+  // Hand ownership to the longest-present remaining member
+  const room = await store.getRoom(roomId);
+  if (room && room.ownerId === userId) {
+    const [newOwner] = await store.getUsers(roomId);
+    // The others may have left meanwhile (through other instances)
+    if (!newOwner) {
+      await deleteEmptyRoom(roomId);
+      return true;
+    }
+
+    await store.updateRoom(roomId, { ownerId: newOwner.userId });
+    console.log(`User ${newOwner.userId} is now owner of room ${roomId}`);
+    io.to(roomId).emit('room-settings', getRoomSettings({ ...room, ownerId: newOwner.userId }));
+
+    const knocks = await store.getKnocks(roomId);
+    knocks.forEach(({ userId: knockerId, name, color }) => {
+      io.to(newOwner.socketId).emit('knock-request', { userId: knockerId, name, color });
+    });
+  }
+  return true;
+}
+
+// Clean up a room nobody is in any more (turning away anyone still knocking)
+async function deleteEmptyRoom(roomId) {
+  const knocks = await store.getKnocks(roomId);
+  knocks.forEach(({ socketId }) => {
+    io.to(socketId).emit('join-error', { roomId, reason: 'room-closed' });
+  });
+  const sfu = getSfu(roomId);
+  if (sfu) {
+    sfu.close();
+  }
+  sfuRooms.delete(roomId);
+  await store.deleteRoom(roomId);
+  eventLog.removeRoom(roomId);
+  console.log(`Room ${roomId} deleted (empty)`);
+}
+
+// Check a user's new position against every geofence in the room and tell the room who entered or left
+// Approximate positions are too coarse to tell, so they are not evaluated
+async function updateGeofencePresence(roomId, userId, location) {
+  if (location.approximate) return;
+
+  const geofences = await store.getGeofences(roomId);
+  await Promise.all(geofences.map(async geofence => {
+    const isInside = containsPoint(geofence, location);
+    if (!(await store.setGeofencePresence(roomId, geofence.id, userId, isInside))) return;
+
+    io.to(roomId).emit(isInside ? 'geofence-enter' : 'geofence-exit', {
+      roomId,
+      geofenceId: geofence.id,
+      geofenceName: geofence.name,
+      userId,
+      timestamp: location.timestamp
+    });
+  }));
+}
+
+// Drop the socket's pending knock-to-join request (unless a newer connection of the user knocked since)
+async function cancelKnock(socket) {
+  const roomId = socket.knockingRoomId;
+  socket.knockingRoomId = null;
+
+  const knock = await store.getKnock(roomId, socket.userId);
+  if (!knock || knock.socketId !== socket.id) return;
+
+  await store.removeKnock(roomId, socket.userId);
+  const room = await store.getRoom(roomId);
+  if (room) {
+    await notifyOwner(roomId, room.ownerId, 'knock-cancelled', { userId: socket.userId });
+  }
+}
+
+// The socket's membership record, or null (with an 'event-error' back) if it is not in roomId
+// Checks the stored membership, not just socket.roomId: the user may have been kicked or
+// taken over by a newer connection on another instance
+async function getMember(socket, event, roomId) {
+  const member = socket.roomId === roomId ? await store.getUser(roomId, socket.userId) : null;
+  if (!member || member.socketId !== socket.id) {
+    socket.emit('event-error', { event, code: 'not-in-room', message: `Not a member of room ${roomId}` });
+    return null;
+  }
+  return member;
+}
+
+// Only the room owner may change settings or manage members
+async function getOwnedRoom(socket, roomId) {
+  if (socket.roomId !== roomId) return null;
+  const [room, member] = await Promise.all([store.getRoom(roomId), store.getUser(roomId, socket.userId)]);
+  if (!room || room.ownerId !== socket.userId || !member || member.socketId !== socket.id) {
+    socket.emit('room-error', { roomId, reason: 'not-owner' });
+    return null;
+  }
+  return room;
+}
+
+// Hand out ICE servers (with short-lived TURN credentials) to room members only, so the TURN server
+// can't be used by anyone who merely knows its address; the credentials carry the member's user id
+// GET /api/rooms/:roomId/ice-servers with "Authorization: Bearer <identity token>", like the tracks below
+app.get('/api/rooms/:roomId/ice-servers', async (req, res) => {
+  const { roomId } = req.params;
+  res.set('Cache-Control', 'no-store');
+
+  const authorization = req.get('Authorization') || '';
+  const requesterId = verifyIdentityToken(authorization.replace(/^Bearer /, ''));
+  if (!requesterId) {
+    res.status(401).json({ error: 'A valid identity token is required' });
+    return;
+  }
+
+  try {
+    if (!(await store.getUser(roomId, requesterId))) {
+      res.status(403).json({ error: `Not a member of room ${roomId}` });
+      return;
+    }
+    res.json(getIceServers(requesterId));
+  } catch (error) {
+    console.error(`Could not hand out ICE servers for room ${roomId}:`, error);
+    res.status(500).json({ error: 'Could not load the room' });
+  }
+});
+
+// Export location tracks of a room (or one user in it) as GPX or GeoJSON
+// GET /api/rooms/:roomId/tracks?format=gpx|geojson&userId=<optional>
+// Only room members may download: send the identity token from room-state as "Authorization: Bearer <token>"
+app.get('/api/rooms/:roomId/tracks', async (req, res) => {
+  const { roomId } = req.params;
+  const format = req.query.format || 'gpx';
+  const userId = typeof req.query.userId === 'string' ? req.query.userId : null;
+  res.set('Cache-Control', 'no-store');
+
+  if (format !== 'gpx' && format !== 'geojson') {
+    res.status(400).json({ error: 'format must be gpx or geojson' });
+    return;
+  }
+
+  const authorization = req.get('Authorization') || '';
+  const requesterId = verifyIdentityToken(authorization.replace(/^Bearer /, ''));
+  if (!requesterId) {
+    res.status(401).json({ error: 'A valid identity token is required' });
+    return;
+  }
+
+  try {
+    const [users, roomTracks] = await Promise.all([store.getUsers(roomId), store.getTracks(roomId)]);
+    const members = new Map(users.map(user => [user.userId, user]));
+    if (!members.has(requesterId)) {
+      res.status(403).json({ error: `Not a member of room ${roomId}` });
+      return;
+    }
+    if (userId && !members.has(userId)) {
+      res.status(404).json({ error: `User ${userId} is not in room ${roomId}` });
+      return;
+    }
+
+    const tracks = roomTracks
+      .filter(track => members.has(track.userId) && (!userId || track.userId === userId))
+      .map(({ userId: id, points }) => ({ ...getMemberInfo(id, members.get(id)), points }));
+
+    const filename = `${roomId}-tracks`.replace(/[^\w.-]/g, '_');
+    if (format === 'gpx') {
+      res.attachment(`${filename}.gpx`);
+      res.type('application/gpx+xml');
+      res.send(toGpx(tracks, roomId));
+    } else {
+      res.attachment(`${filename}.geojson`);
+      res.type('application/geo+json');
+      res.send(JSON.stringify(toGeoJson(tracks), null, 2));
+    }
+  } catch (error) {
+    console.error(`Could not export tracks of room ${roomId}:`, error);
+    res.status(500).json({ error: 'Could not load the room' });
+  }
+});
+
+// A room's activity since it was created (or ?since=), oldest first, from the event log
+// GET /api/rooms/:roomId/timeline?since=<ms>&until=<ms>&types=join,leave,location
+// Members only, like the tracks above. At most TIMELINE_LIMIT events per request - when
+// "truncated" is set, ask again with since = the last event's time + 1
+app.get('/api/rooms/:roomId/timeline', async (req, res) => {
+  const { roomId } = req.params;
+  res.set('Cache-Control', 'no-store');
+
+  if (!timelineRateLimiter.consume(req.ip)) {
+    res.set('Retry-After', '2');
+    res.status(429).json({ error: 'Too many timeline requests, please try again shortly' });
+    return;
+  }
+
+  const authorization = req.get('Authorization') || '';
+  const requesterId = verifyIdentityToken(authorization.replace(/^Bearer /, ''));
+  if (!requesterId) {
+    res.status(401).json({ error: 'A valid identity token is required' });
+    return;
+  }
+
+  try {
+    const [room, requester] = await Promise.all([store.getRoom(roomId), store.getUser(roomId, requesterId)]);
+    if (!room || !requester) {
+      res.status(403).json({ error: `Not a member of room ${roomId}` });
+      return;
+    }
+
+    // Room ids get reused - never go back past this room's creation
+    const since = Math.max(parseInt(req.query.since, 10) || 0, room.createdAt);
+    const until = parseInt(req.query.until, 10) || Date.now();
+    const types = typeof req.query.types === 'string' ? req.query.types.split(',') : null;
+    const { events, truncated } = await eventLog.readRoom(roomId, { since, until, types, limit: TIMELINE_LIMIT });
+
+    res.json({ roomId, since, until, events, truncated });
+  } catch (error) {
+    console.error(`Could not read the timeline of room ${roomId}:`, error);
+    res.status(500).json({ error: 'Could not read the room timeline' });
+  }
+});
+
+// Close a room for everyone (admin action): members are told and dropped, knockers turned away
+async function closeRoom(roomId) {
+  const [room, knocks, members] = await Promise.all([
+    store.getRoom(roomId),
+    store.getKnocks(roomId),
+    store.getUsers(roomId)
+  ]);
+  if (!room) return false;
+
+  knocks.forEach(({ socketId }) => {
+    io.to(socketId).emit('join-error', { roomId, reason: 'room-closed' });
+  });
+  io.to(roomId).emit('room-closed', { roomId });
+  io.in(roomId).socketsLeave(roomId);
+  members.forEach(({ socketId }) => detachSocket(socketId, roomId));
+
+  const sfu = getSfu(roomId);
+  if (sfu) {
+    sfu.close();
+  }
+  sfuRooms.delete(roomId);
+  await store.deleteRoom(roomId);
+  eventLog.removeRoom(roomId);
+  console.log(`Room ${roomId} closed by an admin`);
+  return true;
+}
+
+// Disconnect one socket, on whichever instance it is (admin action), taking its user out of their room first
+async function kickSocket(socketId) {
+  const [target] = await io.in(socketId).fetchSockets();
+  if (!target) return false;
+
+  const roomId = Array.from(target.rooms).find(room => room !== socketId);
+  const member = roomId ? (await store.getUsers(roomId)).find(user => user.socketId === socketId) : null;
+  if (member) {
+    console.log(`User ${member.userId} removed from room ${roomId} by an admin`);
+    target.emit('kicked', { roomId });
+    if (await leaveRoom(member.userId, roomId, socketId)) {
+      io.to(roomId).emit('user-left', { userId: member.userId });
+    }
+  }
+  target.disconnect(true);
+  return true;
+}
+
+// Message from the operators to every connected client, or to one room
+function announce(message, roomId) {
+  console.log(`Announcement${roomId ? ` to room ${roomId}` : ''}: ${message}`);
+  (roomId ? io.to(roomId) : io).emit('announcement', { roomId, message, timestamp: Date.now() });
+}
+
+// Admin API for the dashboard in client/admin.html (see admin.js)
+// ADMIN_TOKEN - bearer token for /api/admin; the API is disabled without it
+app.use('/api/admin', createAdminRouter({
+  adminToken: process.env.ADMIN_TOKEN || '',
+  store,
+  actions: { closeRoom, kickSocket, announce }
+}));
 
 // Handle Socket.IO connections
 io.on('connection', (socket) => {
   console.log(`User connected: ${socket.id}`);
 
+  // Rate limit and validate every inbound event before it reaches a handler
+  // Rejected events get an 'event-error' back (and an error acknowledgement if one was requested);
+  // repeat offenders are disconnected
+  const rateLimiter = createSocketRateLimiter();
+  socket.use((packet, next) => {
+    const [event, payload] = packet;
+    const ack = typeof packet[packet.length - 1] === 'function' ? packet[packet.length - 1] : null;
+
+    const limit = rateLimiter.consume(event);
+    if (limit === 'abuse') {
+      console.warn(`Disconnecting ${socket.id} for exceeding rate limits`);
+      socket.emit('event-error', { event, code: 'rate-limit-abuse', message: 'Too many requests, disconnecting' });
+      socket.disconnect(true);
+      return;
+    }
+    if (limit === 'limited') {
+      socket.emit('event-error', { event, code: 'rate-limited', message: 'Too many requests' });
+      if (ack) ack({ error: 'rate-limited', message: 'Too many requests' });
+      return;
+    }
+
+    const { value, code, error } = validatePayload(event, payload);
+    if (error) {
+      console.warn(`Rejected ${event} from ${socket.id}: ${error}`);
+      socket.emit('event-error', { event, code, message: error });
+      if (ack) ack({ error: code, message: error });
+      return;
+    }
+
+    // Handlers only ever see the validated fields
+    packet[1] = value;
+    next();
+  });
+
+  // Handlers are async (room state may be in Redis) - a failing one is logged and reported to the client
+  function onEvent(event, handler) {
+    socket.on(event, (...args) => {
+      handler(...args).catch(error => {
+        console.error(`${event} from ${socket.id} failed:`, error);
+        socket.emit('event-error', { event, code: 'server-error', message: 'Something went wrong, please try again' });
+      });
+    });
+  }
+
   // User joins a room
-  socket.on('join-room', (roomId) => {
-    // Leave previous room if any
+  // Accepts a plain room id or { roomId, password, invite, identity, name, color }
+  // `identity` is the token from a previous room-state; without a valid one the user gets a new id
+  onEvent('join-room', async ({ roomId, password, invite, identity, name, color }) => {
+    // Leave previous room (or pending knock) if any
     if (socket.roomId) {
-      leaveRoom(socket.id, socket.roomId);
+      await removeFromRoom(socket);
+    }
+    if (socket.knockingRoomId) {
+      await cancelKnock(socket);
+    }
+
+    socket.userId = verifyIdentityToken(identity) || crypto.randomUUID();
+    socket.profile = getProfile(socket.userId, name, color);
+
+    // First joiner creates the room, becomes its owner and may set a password
+    const created = await store.createRoom(roomId, {
+      ownerId: socket.userId,
+      passwordHash: password ? await hashPassword(password) : null,
+      locked: false,
+      mode: 'mesh', // 'mesh' (peer-to-peer) or 'sfu' (media through the server)
+      createdAt: Date.now(),
+      inviteNonce: crypto.randomBytes(16).toString('base64url')
+    });
+    if (created) {
+      await admitToRoom(socket, roomId);
+      return;
+    }
+
+    const [room, member] = await Promise.all([store.getRoom(roomId), store.getUser(roomId, socket.userId)]);
+    if (!room) {
+      // Emptied and deleted since createRoom looked
+      socket.emit('join-error', { roomId, reason: 'room-closed' });
+      return;
+    }
+
+    // Kicked out by the owner: not even an invite gets them back in
+    if (await store.isBanned(roomId, socket.userId)) {
+      console.warn(`User ${socket.userId} tried to rejoin room ${roomId} after being kicked`);
+      socket.emit('join-error', { roomId, reason: 'banned' });
+      return;
     }
 
-    // Join new room
+    // Still a member from a previous connection - no need to pass the checks again
+    if (member) {
+      await reclaimMembership(socket, roomId, member);
+      return;
+    }
+
+    // A valid invite skips the password and the lock
+    if (verifyInviteToken(roomId, room, invite)) {
+      await admitToRoom(socket, roomId);
+      return;
+    }
+
+    if (room.passwordHash && !(await checkPassword(password, room.passwordHash))) {
+      console.warn(`User ${socket.userId} failed password check for room ${roomId}`);
+      socket.emit('join-error', { roomId, reason: password ? 'wrong-password' : 'password-required' });
+      return;
+    }
+
+    // Locked room: ask the owner to let this user in
+    if (room.locked) {
+      await store.addKnock(roomId, socket.userId, { socketId: socket.id, ...socket.profile });
+      socket.knockingRoomId = roomId;
+      await notifyOwner(roomId, room.ownerId, 'knock-request', { userId: socket.userId, ...socket.profile });
+      socket.emit('knock-pending', { roomId });
+      console.log(`User ${socket.userId} knocked on room ${roomId}`);
+      return;
+    }
+
+    await admitToRoom(socket, roomId);
+  });
+
+  // Reconnected client picks up its old membership: same user, same place in the room, and no
+  // 'user-left' for the others - only the peer connections that broke need renegotiating
+  onEvent('resume-session', async ({ roomId, identity, resumeToken }) => {
+    const userId = verifyIdentityToken(identity);
+    const member = userId && !(await store.isBanned(roomId, userId)) ? await store.getUser(roomId, userId) : null;
+    const expected = Buffer.from(member ? member.resumeToken : '');
+    const actual = Buffer.from(resumeToken);
+    if (!member || expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      // Too late (or never there) - the client joins again from scratch
+      socket.emit('resume-failed', { roomId });
+      return;
+    }
+
+    if (socket.roomId) {
+      await removeFromRoom(socket);
+    }
+    socket.userId = userId;
+    socket.profile = { name: member.name, color: member.color };
+
+    // A fresh token, so the one just used can't resume the session a second time
+    const oldSocketId = member.socketId;
+    const update = { socketId: socket.id, resumeToken: createResumeToken() };
+    await store.updateUser(roomId, userId, update);
     socket.join(roomId);
     socket.roomId = roomId;
 
-    // Initialize room if it doesn't exist
-    if (!rooms.has(roomId)) {
-      rooms.set(roomId, {
-        users: new Set(),
-        locations: new Map()
-      });
+    // The server may not have noticed the old connection dropping yet
+    if (oldSocketId !== socket.id) {
+      io.in(oldSocketId).socketsLeave(roomId);
+      io.in(oldSocketId).disconnectSockets(true);
+    }
+
+    console.log(`User ${userId} resumed their session in room ${roomId}`);
+    eventLog.append(roomId, 'resume', { userId });
+    socket.to(roomId).emit('user-resumed', { userId });
+
+    // In SFU mode the client's transports usually survive - it only needs the tracks it missed
+    const state = await getRoomState(roomId, userId, { ...member, ...update });
+    const sfu = getSfu(roomId);
+    if (state) {
+      socket.emit('session-resumed', { ...state, producers: sfu ? sfu.getProducers(userId) : [] });
     }
+  });
 
-    const room = rooms.get(roomId);
-    room.users.add(socket.id);
+  // Owner answers a knock-to-join request
+  onEvent('knock-response', async ({ roomId, userId, approve }) => {
+    const room = await getOwnedRoom(socket, roomId);
+    const knock = room && await store.removeKnock(roomId, userId);
+    if (!knock) return;
 
-    console.log(`User ${socket.id} joined room ${roomId}`);
+    if (approve) {
+      await admitSocket(knock.socketId, roomId);
+    } else {
+      io.to(knock.socketId).emit('join-error', { roomId, reason: 'knock-denied' });
+    }
+  });
 
-    // Notify others in the room about the new user
-    socket.to(roomId).emit('user-joined', { userId: socket.id });
+  // Owner locks or unlocks the room
+  onEvent('lock-room', async ({ roomId, locked }) => {
+    const room = await getOwnedRoom(socket, roomId);
+    if (!room) return;
 
-    // Send current room state to the new user
-    socket.emit('room-state', {
-      users: Array.from(room.users).filter(id => id !== socket.id),
-      locations: Array.from(room.locations.entries()).map(([id, loc]) => ({
-        userId: id,
-        lat: loc.lat,
-        lng: loc.lng
-      }))
-    });
+    room.locked = Boolean(locked);
+    await store.updateRoom(roomId, { locked: room.locked });
+    console.log(`Room ${roomId} ${room.locked ? 'locked' : 'unlocked'} by ${socket.userId}`);
+    io.to(roomId).emit('room-settings', getRoomSettings(room));
+  });
+
+  // Owner removes a user from the room
+  onEvent('kick-user', async ({ roomId, userId }) => {
+    const room = await getOwnedRoom(socket, roomId);
+    if (!room || userId === socket.userId) return;
+
+    const target = await store.getUser(roomId, userId);
+    if (!target) return;
+
+    console.log(`User ${userId} kicked from room ${roomId} by ${socket.userId}`);
+    await store.banUser(roomId, userId);
+    io.to(target.socketId).emit('kicked', { roomId });
+    io.in(target.socketId).socketsLeave(roomId);
+    detachSocket(target.socketId, roomId);
+    if (await leaveRoom(userId, roomId, target.socketId)) {
+      io.to(roomId).emit('user-left', { userId });
+    }
+  });
+
+  // Owner requests a signed invite token for the room
+  onEvent('create-invite', async ({ roomId }) => {
+    const room = await getOwnedRoom(socket, roomId);
+    if (!room) return;
+
+    socket.emit('invite-created', { roomId, invite: createInviteToken(roomId, room), expiresIn: INVITE_TTL });
   });
 
   // Forward WebRTC signaling messages (offer, answer, ICE candidates)
-  socket.on('webrtc-signal', (data) => {
-    const { roomId, from, to, signal } = data;
+  onEvent('webrtc-signal', async (data) => {
+    const { roomId, to, signal } = data;
 
     // Validate room membership
-    if (socket.roomId !== roomId) {
-      console.warn(`User ${socket.id} tried to signal in room ${roomId} but is in ${socket.roomId}`);
+    if (!(await getMember(socket, 'webrtc-signal', roomId))) {
       return;
     }
 
+    // Only allow signaling to members of the same room
+    const target = to ? await store.getUser(roomId, to) : null;
+    if (to && !target) {
+      socket.emit('event-error', { event: 'webrtc-signal', code: 'invalid-target', message: `User ${to} is not in room ${roomId}` });
+      return;
+    }
+
+    eventLog.append(roomId, 'signal', { from: socket.userId, to: to || null, kind: getSignalKind(signal) });
+
     // Forward signal to target user (or broadcast if 'to' is not specified)
-    if (to) {
-      io.to(to).emit('webrtc-signal', {
+    if (target) {
+      io.to(target.socketId).emit('webrtc-signal', {
         roomId,
-        from: socket.id,
+        from: socket.userId,
         signal
       });
     } else {
       // Broadcast to all others in the room
       socket.to(roomId).emit('webrtc-signal', {
         roomId,
-        from: socket.id,
+        from: socket.userId,
         signal
       });
     }
   });
 
   // Handle location updates
-  socket.on('location-update', (data) => {
-    const { roomId, lat, lng } = data;
+  // lat/lng are required; accuracy (m), heading (degrees from north), speed (m/s), altitude (m)
+  // and timestamp (ms, when the position was measured) are sent when the device knows them;
+  // approximate means the client deliberately coarsened the position
+  onEvent('location-update', async (data) => {
+    const { roomId, lat, lng, accuracy, heading, speed, altitude, approximate } = data;
 
     // Validate room membership
-    if (socket.roomId !== roomId) {
+    if (!(await getMember(socket, 'location-update', roomId))) {
       return;
     }
 
-    const room = rooms.get(roomId);
-    if (!room) {
-      return;
-    }
+    // A position can't be from the future - clamp skewed client clocks
+    const now = Date.now();
+    const timestamp = Math.min(data.timestamp || now, now);
+    const location = {
+      lat,
+      lng,
+      accuracy: accuracy ?? null,
+      heading: heading ?? null,
+      speed: speed ?? null,
+      altitude: altitude ?? null,
+      timestamp,
+      approximate: Boolean(approximate)
+    };
 
-    // Update location for this user
-    room.locations.set(socket.id, { lat, lng });
+    // Update location for this user and extend their track
+    await store.addLocation(roomId, socket.userId, location, LOCATION_HISTORY_LIMIT);
+    eventLog.append(roomId, 'location', { userId: socket.userId, ...location });
 
     // Broadcast location to others in the room
     socket.to(roomId).emit('location-update', {
       roomId,
-      userId: socket.id,
-      lat,
-      lng
+      userId: socket.userId,
+      ...location
     });
+
+    await updateGeofencePresence(roomId, socket.userId, location);
   });
 
-  // Handle disconnection
-  socket.on('disconnect', () => {
-    console.log(`User disconnected: ${socket.id}`);
+  // User stopped sharing their location (or switched to approximate): forget their position and track,
+  // here and in the event log, so the room's replay doesn't show them either
+  onEvent('location-stop', async ({ roomId }) => {
+    if (!(await getMember(socket, 'location-stop', roomId))) {
+      return;
+    }
 
-    if (socket.roomId) {
-      leaveRoom(socket.id, socket.roomId);
+    await store.removeLocation(roomId, socket.userId);
+    await store.forgetGeofencePresence(roomId, socket.userId);
+    eventLog.forgetLocations(roomId, socket.userId);
+    eventLog.append(roomId, 'location-stop', { userId: socket.userId });
+    socket.to(roomId).emit('location-removed', { roomId, userId: socket.userId });
+  });
 
-      // Notify others in the room
-      io.to(socket.roomId).emit('user-left', { userId: socket.id });
+  // Any member can draw a geofence (circle or polygon) for the whole room
+  onEvent('geofence-create', async ({ roomId, ...input }) => {
+    if (!(await getMember(socket, 'geofence-create', roomId))) {
+      return;
     }
+
+    const [existing, locations] = await Promise.all([store.getGeofences(roomId), store.getLocations(roomId)]);
+    if (existing.length >= MAX_GEOFENCES_PER_ROOM) {
+      socket.emit('event-error', {
+        event: 'geofence-create',
+        code: 'limit-reached',
+        message: `Rooms can have at most ${MAX_GEOFENCES_PER_ROOM} geofences`
+      });
+      return;
+    }
+
+    const { geofence, error } = createGeofence(crypto.randomUUID(), input, socket.userId);
+    if (error) {
+      socket.emit('event-error', { event: 'geofence-create', code: 'invalid-payload', message: error });
+      return;
+    }
+
+    // Whoever is already inside doesn't "enter" it
+    const inside = locations
+      .filter(location => !location.approximate && containsPoint(geofence, location))
+      .map(location => location.userId);
+    await store.addGeofence(roomId, geofence, inside);
+
+    console.log(`Geofence "${geofence.name}" (${geofence.shape}) created in room ${roomId} by ${socket.userId}`);
+    io.to(roomId).emit('geofence-created', { roomId, geofence });
   });
 
-  // Helper function to clean up room data
-  function leaveRoom(socketId, roomId) {
-    const room = rooms.get(roomId);
-    if (room) {
-      room.users.delete(socketId);
-      room.locations.delete(socketId);
+  // The geofence's creator or the room owner can remove it
+  onEvent('geofence-delete', async ({ roomId, geofenceId }) => {
+    if (!(await getMember(socket, 'geofence-delete', roomId))) {
+      return;
+    }
 
-      // Clean up empty rooms
-      if (room.users.size === 0) {
-        rooms.delete(roomId);
-        console.log(`Room ${roomId} deleted (empty)`);
-      }
+    const [room, geofence] = await Promise.all([store.getRoom(roomId), store.getGeofence(roomId, geofenceId)]);
+    if (!room || !geofence) {
+      return;
     }
+
+    if (geofence.createdBy !== socket.userId && room.ownerId !== socket.userId) {
+      socket.emit('event-error', {
+        event: 'geofence-delete',
+        code: 'not-allowed',
+        message: 'Only its creator or the room owner can delete a geofence'
+      });
+      return;
+    }
+
+    await store.removeGeofence(roomId, geofenceId);
+    io.to(roomId).emit('geofence-deleted', { roomId, geofenceId });
+  });
+
+  // User started or stopped sharing their screen (the video track itself goes over WebRTC)
+  onEvent('screen-share', async ({ roomId, sharing }) => {
+    if (!(await getMember(socket, 'screen-share', roomId))) {
+      return;
+    }
+
+    await store.updateUser(roomId, socket.userId, { screenSharing: sharing });
+    socket.to(roomId).emit('screen-share', { roomId, userId: socket.userId, sharing });
+  });
+
+  // User started, paused, resumed or stopped recording the call (recordings stay in their browser)
+  onEvent('recording-state', async ({ roomId, state }) => {
+    if (!(await getMember(socket, 'recording-state', roomId))) {
+      return;
+    }
+
+    await store.updateUser(roomId, socket.userId, { recording: state });
+    socket.to(roomId).emit('recording-state', { roomId, userId: socket.userId, state });
+  });
+
+  // User muted/unmuted their microphone or turned their camera on/off
+  onEvent('media-state', async ({ roomId, audio, video }) => {
+    if (!(await getMember(socket, 'media-state', roomId))) {
+      return;
+    }
+
+    await store.updateUser(roomId, socket.userId, { media: { audio, video } });
+    socket.to(roomId).emit('media-state', { roomId, userId: socket.userId, audio, video });
+  });
+
+  // Periodic connection quality summary from a client, logged for troubleshooting
+  // peers: { userId: { quality, inboundKbps, outboundKbps, packetLoss, rtt, candidateType } }
+  onEvent('stats-report', async ({ roomId, peers }) => {
+    if (!(await getMember(socket, 'stats-report', roomId))) {
+      return;
+    }
+
+    const memberIds = new Set((await store.getUsers(roomId)).map(user => user.userId));
+    const summary = Object.entries(peers)
+      .filter(([userId]) => memberIds.has(userId))
+      .map(([userId, stats]) => {
+        const { quality, inboundKbps, outboundKbps, packetLoss, rtt, candidateType } = stats || {};
+        return `${userId.substring(0, 8)}=${quality} in:${inboundKbps}kbps out:${outboundKbps}kbps ` +
+          `loss:${packetLoss}% rtt:${rtt}ms ${candidateType}`;
+      });
+
+    if (summary.length > 0) {
+      console.log(`Stats from ${socket.userId} in room ${roomId}: ${summary.join(', ')}`);
+    }
+  });
+
+  // SFU requests are answered through the acknowledgement callback:
+  // callback(result) on success, callback({ error, message }) on failure
+  function onSfuRequest(event, handler) {
+    socket.on(event, async (payload, callback) => {
+      if (typeof callback !== 'function') return;
+
+      try {
+        if (!(await getMember(socket, event, payload.roomId))) {
+          callback({ error: 'not-in-room', message: `Not a member of room ${payload.roomId}` });
+          return;
+        }
+        const sfu = getSfu(payload.roomId);
+        if (!sfu) {
+          callback({ error: 'sfu-inactive', message: `Room ${payload.roomId} is not in SFU mode` });
+          return;
+        }
+
+        callback(await handler(sfu, payload));
+      } catch (error) {
+        console.warn(`${event} from ${socket.userId} failed: ${error.message}`);
+        callback({ error: 'sfu-error', message: error.message });
+      }
+    });
   }
+
+  // Router capabilities and everything already being sent in the room
+  // A new session replaces whatever the user had before (e.g. transports that failed while reconnecting)
+  onSfuRequest('sfu-join', async (sfu) => {
+    sfu.closePeer(socket.userId);
+    return {
+      rtpCapabilities: sfu.rtpCapabilities,
+      producers: sfu.getProducers(socket.userId)
+    };
+  });
+
+  onSfuRequest('sfu-create-transport', async (sfu, { direction }) =>
+    sfu.createTransport(socket.userId, direction));
+
+  onSfuRequest('sfu-connect-transport', async (sfu, { transportId, dtlsParameters }) => {
+    await sfu.connectTransport(socket.userId, transportId, dtlsParameters);
+    return {};
+  });
+
+  // Client starts sending a track - everyone else can now consume it
+  onSfuRequest('sfu-produce', async (sfu, { roomId, transportId, kind, rtpParameters }) => {
+    const producer = await sfu.produce(socket.userId, transportId, kind, rtpParameters);
+    socket.to(roomId).emit('sfu-new-producer', { roomId, userId: socket.userId, producerId: producer.id, kind });
+    return { id: producer.id };
+  });
+
+  onSfuRequest('sfu-consume', async (sfu, { roomId, producerId, rtpCapabilities }) =>
+    sfu.consume(socket.userId, producerId, rtpCapabilities, (consumerId) => {
+      socket.emit('sfu-consumer-closed', { roomId, consumerId });
+    }));
+
+  onSfuRequest('sfu-resume-consumer', async (sfu, { consumerId }) => {
+    await sfu.resumeConsumer(socket.userId, consumerId);
+    return {};
+  });
+
+  // Handle chat messages: keep a bounded history and send to everyone (including the sender)
+  onEvent('chat-message', async ({ roomId, text }) => {
+    const member = await getMember(socket, 'chat-message', roomId);
+    const trimmedText = text.trim();
+    if (!member || !trimmedText) {
+      return;
+    }
+
+    const message = {
+      id: crypto.randomUUID(),
+      ...getMemberInfo(socket.userId, member),
+      text: trimmedText,
+      timestamp: Date.now()
+    };
+
+    await store.addChatMessage(roomId, message, CHAT_HISTORY_LIMIT);
+    io.to(roomId).emit('chat-message', { roomId, ...message });
+  });
+
+  // Handle disconnection
+  onEvent('disconnect', async (reason) => {
+    console.log(`User disconnected: ${socket.id} (${reason})`);
+
+    if (socket.knockingRoomId) {
+      await cancelKnock(socket);
+    }
+
+    // A newer connection of the same user may already have taken over the membership
+    if (!socket.roomId) {
+      return;
+    }
+
+    // Leaving on purpose (or being disconnected by the server) is final; a dropped connection may come back
+    const intentional = reason === 'client namespace disconnect' || reason === 'server namespace disconnect';
+    if (intentional || RECONNECT_GRACE_PERIOD === 0) {
+      await removeFromRoom(socket);
+    } else {
+      await holdForReconnect(socket);
+    }
+  });
 });
 
 const PORT = process.env.PORT || 3000;
@@ -164,9 +1287,27 @@ function getLocalIP() {
   return 'localhost';
 }
 
-server.listen(PORT, '0.0.0.0', () => {
-  const localIP = getLocalIP();
-  console.log(`Server running on http://localhost:${PORT}`);
-  console.log(`Server accessible on network at http://${localIP}:${PORT}`);
-  console.log(`Socket.IO server ready for connections`);
-});
+// Connect to Redis first (when configured): the store and the adapter need it before any client does
+async function connectRedis() {
+  const subClient = redisClient.duplicate();
+  redisClient.on('error', (error) => console.error('Redis error:', error.message));
+  subClient.on('error', (error) => console.error('Redis subscriber error:', error.message));
+
+  await Promise.all([redisClient.connect(), subClient.connect()]);
+  io.adapter(createAdapter(redisClient, subClient));
+  console.log('Room state and broadcasts are shared through Redis');
+}
+
+(redisClient ? connectRedis() : Promise.resolve())
+  .then(() => {
+    server.listen(PORT, '0.0.0.0', () => {
+      const localIP = getLocalIP();
+      console.log(`Server running on http://localhost:${PORT}`);
+      console.log(`Server accessible on network at http://${localIP}:${PORT}`);
+      console.log(`Socket.IO server ready for connections`);
+    });
+  })
+  .catch((error) => {
+    console.error('Could not connect to Redis:', error);
+    process.exit(1);
+  });
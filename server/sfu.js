@@ -0,0 +1,212 @@
+// ============================================================================
+// Selective Forwarding Unit (mediasoup)
+// In SFU mode every client sends its media once to the server, which forwards it
+// to everyone else - instead of one upload per peer in the mesh
+// ============================================================================
+
+// mediasoup is optional: without it every room stays in mesh mode
+let mediasoup = null;
+try {
+  mediasoup = require('mediasoup');
+} catch (error) {
+  mediasoup = null;
+}
+
+// SFU configuration (all from environment variables)
+// SFU_THRESHOLD       - users in a room before it switches from mesh to SFU (default 5)
+// SFU_LISTEN_IP       - local address media is received on (default 0.0.0.0)
+// SFU_ANNOUNCED_IP    - public address given to clients (required behind NAT or on a cloud VM)
+// SFU_RTC_MIN_PORT / SFU_RTC_MAX_PORT - UDP/TCP port range for media (default 40000-49999)
+const SFU_CONFIG = {
+  threshold: parseInt(process.env.SFU_THRESHOLD, 10) || 5,
+  listenIp: process.env.SFU_LISTEN_IP || '0.0.0.0',
+  announcedIp: process.env.SFU_ANNOUNCED_IP || undefined,
+  minPort: parseInt(process.env.SFU_RTC_MIN_PORT, 10) || 40000,
+  maxPort: parseInt(process.env.SFU_RTC_MAX_PORT, 10) || 49999
+};
+
+// Codecs every router offers (browsers all support Opus and VP8)
+const MEDIA_CODECS = [
+  { kind: 'audio', mimeType: 'audio/opus', clockRate: 48000, channels: 2 },
+  { kind: 'video', mimeType: 'video/VP8', clockRate: 90000 },
+  {
+    kind: 'video',
+    mimeType: 'video/H264',
+    clockRate: 90000,
+    parameters: { 'packetization-mode': 1, 'profile-level-id': '42e01f', 'level-asymmetry-allowed': 1 }
+  }
+];
+
+let workerPromise = null;
+
+function isSfuAvailable() {
+  return mediasoup !== null;
+}
+
+// One mediasoup worker process, started on first use
+function getWorker() {
+  if (!workerPromise) {
+    workerPromise = mediasoup.createWorker({ logLevel: 'warn' }).then(worker => {
+      worker.on('died', (error) => {
+        // Its routers are gone with it - the next SFU room starts a new worker
+        console.error('mediasoup worker died:', error);
+        workerPromise = null;
+      });
+      console.log(`mediasoup worker started (pid ${worker.pid})`);
+      return worker;
+    });
+    workerPromise.catch(() => {
+      workerPromise = null;
+    });
+  }
+  return workerPromise;
+}
+
+// Create the SFU side of one room: a router plus the transports, producers and
+// consumers of each member, keyed by user id
+// Each member gets at most one send and one receive transport and one producer per kind -
+// a new one replaces (and closes) the old, so nobody can use up the worker's ports
+async function createSfuRoom() {
+  const worker = await getWorker();
+  const router = await worker.createRouter({ mediaCodecs: MEDIA_CODECS });
+  const peers = new Map(); // Map<userId, {transports: Map, producers: Map, consumers: Map}>
+
+  function getPeer(userId) {
+    if (!peers.has(userId)) {
+      peers.set(userId, { transports: new Map(), producers: new Map(), consumers: new Map() });
+    }
+    return peers.get(userId);
+  }
+
+  function getTransport(userId, transportId) {
+    const transport = getPeer(userId).transports.get(transportId);
+    if (!transport) {
+      throw new Error(`Unknown transport ${transportId}`);
+    }
+    return transport;
+  }
+
+  return {
+    rtpCapabilities: router.rtpCapabilities,
+
+    // Everything currently being sent, except by the given user
+    getProducers(exceptUserId) {
+      const producers = [];
+      peers.forEach((peer, userId) => {
+        if (userId === exceptUserId) return;
+        peer.producers.forEach(producer => {
+          producers.push({ userId, producerId: producer.id, kind: producer.kind });
+        });
+      });
+      return producers;
+    },
+
+    async createTransport(userId, direction) {
+      const listenInfo = {
+        ip: SFU_CONFIG.listenIp,
+        announcedAddress: SFU_CONFIG.announcedIp,
+        portRange: { min: SFU_CONFIG.minPort, max: SFU_CONFIG.maxPort }
+      };
+      const transport = await router.createWebRtcTransport({
+        listenInfos: [{ protocol: 'udp', ...listenInfo }, { protocol: 'tcp', ...listenInfo }],
+        preferUdp: true,
+        appData: { direction }
+      });
+      const { transports } = getPeer(userId);
+      transports.forEach(existing => {
+        if (existing.appData.direction === direction) {
+          existing.close();
+          transports.delete(existing.id);
+        }
+      });
+      transports.set(transport.id, transport);
+
+      return {
+        id: transport.id,
+        iceParameters: transport.iceParameters,
+        iceCandidates: transport.iceCandidates,
+        dtlsParameters: transport.dtlsParameters
+      };
+    },
+
+    async connectTransport(userId, transportId, dtlsParameters) {
+      await getTransport(userId, transportId).connect({ dtlsParameters });
+    },
+
+    async produce(userId, transportId, kind, rtpParameters) {
+      const transport = getTransport(userId, transportId);
+      if (transport.appData.direction !== 'send') {
+        throw new Error('Cannot produce on a receive transport');
+      }
+
+      const producer = await transport.produce({ kind, rtpParameters });
+      const peer = getPeer(userId);
+      peer.producers.forEach(existing => {
+        if (existing.kind === kind) {
+          existing.close();
+          peer.producers.delete(existing.id);
+        }
+      });
+      peer.producers.set(producer.id, producer);
+      producer.on('transportclose', () => peer.producers.delete(producer.id));
+      return producer;
+    },
+
+    // Consumers start paused; the client resumes them once it is ready to render
+    // onClosed is called when the producer (or our transport) goes away
+    async consume(userId, producerId, rtpCapabilities, onClosed) {
+      if (!router.canConsume({ producerId, rtpCapabilities })) {
+        throw new Error(`Cannot consume producer ${producerId}`);
+      }
+
+      const peer = getPeer(userId);
+      const transport = Array.from(peer.transports.values()).find(t => t.appData.direction === 'recv');
+      if (!transport) {
+        throw new Error('No receive transport');
+      }
+
+      const producerUserId = Array.from(peers.keys()).find(id => peers.get(id).producers.has(producerId));
+      const consumer = await transport.consume({ producerId, rtpCapabilities, paused: true });
+      peer.consumers.set(consumer.id, consumer);
+
+      const close = () => {
+        peer.consumers.delete(consumer.id);
+        onClosed(consumer.id);
+      };
+      consumer.on('producerclose', close);
+      consumer.on('transportclose', () => peer.consumers.delete(consumer.id));
+
+      return {
+        id: consumer.id,
+        producerId,
+        userId: producerUserId,
+        kind: consumer.kind,
+        rtpParameters: consumer.rtpParameters
+      };
+    },
+
+    async resumeConsumer(userId, consumerId) {
+      const consumer = getPeer(userId).consumers.get(consumerId);
+      if (!consumer) {
+        throw new Error(`Unknown consumer ${consumerId}`);
+      }
+      await consumer.resume();
+    },
+
+    // Closing the transports closes the user's producers, and with them everyone's consumers of them
+    closePeer(userId) {
+      const peer = peers.get(userId);
+      if (!peer) return;
+
+      peer.transports.forEach(transport => transport.close());
+      peers.delete(userId);
+    },
+
+    close() {
+      router.close();
+      peers.clear();
+    }
+  };
+}
+
+module.exports = { SFU_CONFIG, isSfuAvailable, createSfuRoom };
@@ -0,0 +1,60 @@
+// ============================================================================
+// Location track export (GPX 1.1 and GeoJSON)
+// A track is { userId, name, color, points: [{lat, lng, altitude, timestamp}] }, oldest point first
+// ============================================================================
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// One <trk> per user
+function toGpx(tracks, roomId) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="realtime-app" xmlns="http://www.topografix.com/GPX/1/1">',
+    `  <metadata><name>${escapeXml(roomId)}</name><time>${new Date().toISOString()}</time></metadata>`
+  ];
+
+  tracks.forEach(({ userId, name, points }) => {
+    lines.push('  <trk>');
+    lines.push(`    <name>${escapeXml(name)}</name>`);
+    lines.push(`    <desc>${escapeXml(userId)}</desc>`);
+    lines.push('    <trkseg>');
+    points.forEach(({ lat, lng, altitude, timestamp }) => {
+      const elevation = altitude !== null && altitude !== undefined ? `<ele>${altitude}</ele>` : '';
+      lines.push(`      <trkpt lat="${lat}" lon="${lng}">${elevation}<time>${new Date(timestamp).toISOString()}</time></trkpt>`);
+    });
+    lines.push('    </trkseg>');
+    lines.push('  </trk>');
+  });
+
+  lines.push('</gpx>');
+  return lines.join('\n') + '\n';
+}
+
+// One LineString feature per user; point times go in `coordTimes` (as GPX converters do)
+function toGeoJson(tracks) {
+  return {
+    type: 'FeatureCollection',
+    features: tracks.map(({ userId, name, color, points }) => ({
+      type: 'Feature',
+      properties: {
+        userId,
+        name,
+        color,
+        coordTimes: points.map(({ timestamp }) => new Date(timestamp).toISOString())
+      },
+      geometry: {
+        type: 'LineString',
+        coordinates: points.map(({ lat, lng }) => [lng, lat])
+      }
+    }))
+  };
+}
+
+module.exports = { toGpx, toGeoJson };
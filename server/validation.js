@@ -0,0 +1,228 @@
+// ============================================================================
+// Inbound Socket.IO payload validation
+// Every client event must have a schema here - unknown events are rejected
+// ============================================================================
+
+// Field rules:
+//   type       - 'string' | 'number' | 'boolean' | 'object' | 'array'
+//   required   - field must be present
+//   minLength / maxLength - string length
+//   min / max  - number range (NaN and Infinity are always rejected)
+//   oneOf      - allowed values
+//   pattern    - regular expression a string must match
+//   maxBytes   - serialized JSON size limit for objects
+//   maxItems   - array length limit (items are checked by the handler)
+
+const roomId = { type: 'string', required: true, minLength: 1, maxLength: 64 };
+const userId = { type: 'string', required: true, minLength: 1, maxLength: 64 };
+
+const SCHEMAS = {
+  'join-room': {
+    // Older clients send the room id as a plain string
+    normalize: (payload) => (typeof payload === 'string' ? { roomId: payload } : payload),
+    fields: {
+      roomId,
+      password: { type: 'string', maxLength: 128 },
+      invite: { type: 'string', maxLength: 256 },
+      identity: { type: 'string', maxLength: 256 },
+      name: { type: 'string', maxLength: 32 },
+      color: { type: 'string', pattern: /^#[0-9a-f]{6}$/i }
+    }
+  },
+  // Reconnected client re-entering its room within the grace period (token from room-state)
+  'resume-session': {
+    fields: {
+      roomId,
+      identity: { type: 'string', required: true, maxLength: 256 },
+      resumeToken: { type: 'string', required: true, maxLength: 64 }
+    }
+  },
+  'knock-response': {
+    fields: { roomId, userId, approve: { type: 'boolean', required: true } }
+  },
+  'lock-room': {
+    fields: { roomId, locked: { type: 'boolean', required: true } }
+  },
+  'kick-user': {
+    fields: { roomId, userId }
+  },
+  'create-invite': {
+    fields: { roomId }
+  },
+  'webrtc-signal': {
+    fields: {
+      roomId,
+      from: { type: 'string', maxLength: 64 },
+      to: { type: 'string', maxLength: 64 },
+      signal: { type: 'object', required: true, maxBytes: 32 * 1024 }
+    }
+  },
+  'screen-share': {
+    fields: { roomId, sharing: { type: 'boolean', required: true } }
+  },
+  'recording-state': {
+    fields: { roomId, state: { type: 'string', required: true, oneOf: ['recording', 'paused', 'stopped'] } }
+  },
+  'media-state': {
+    fields: {
+      roomId,
+      audio: { type: 'boolean', required: true },
+      video: { type: 'boolean', required: true }
+    }
+  },
+  'stats-report': {
+    fields: {
+      roomId,
+      peers: { type: 'object', required: true, maxBytes: 8 * 1024 }
+    }
+  },
+  'sfu-join': {
+    fields: { roomId }
+  },
+  'sfu-create-transport': {
+    fields: { roomId, direction: { type: 'string', required: true, oneOf: ['send', 'recv'] } }
+  },
+  'sfu-connect-transport': {
+    fields: {
+      roomId,
+      transportId: { type: 'string', required: true, maxLength: 64 },
+      dtlsParameters: { type: 'object', required: true, maxBytes: 4 * 1024 }
+    }
+  },
+  'sfu-produce': {
+    fields: {
+      roomId,
+      transportId: { type: 'string', required: true, maxLength: 64 },
+      kind: { type: 'string', required: true, oneOf: ['audio', 'video'] },
+      rtpParameters: { type: 'object', required: true, maxBytes: 16 * 1024 }
+    }
+  },
+  'sfu-consume': {
+    fields: {
+      roomId,
+      producerId: { type: 'string', required: true, maxLength: 64 },
+      rtpCapabilities: { type: 'object', required: true, maxBytes: 32 * 1024 }
+    }
+  },
+  'sfu-resume-consumer': {
+    fields: { roomId, consumerId: { type: 'string', required: true, maxLength: 64 } }
+  },
+  'chat-message': {
+    fields: {
+      roomId,
+      text: { type: 'string', required: true, minLength: 1, maxLength: 2000 }
+    }
+  },
+  'location-update': {
+    fields: {
+      roomId,
+      lat: { type: 'number', required: true, min: -90, max: 90 },
+      lng: { type: 'number', required: true, min: -180, max: 180 },
+      accuracy: { type: 'number', min: 0, max: 100000 },
+      heading: { type: 'number', min: 0, max: 360 },
+      speed: { type: 'number', min: 0, max: 1000 },
+      altitude: { type: 'number', min: -1000, max: 100000 },
+      timestamp: { type: 'number', min: 0 },
+      approximate: { type: 'boolean' }
+    }
+  },
+  'location-stop': {
+    fields: { roomId }
+  },
+  // Positions inside center/points are checked by geofences.js
+  'geofence-create': {
+    fields: {
+      roomId,
+      name: { type: 'string', required: true, minLength: 1, maxLength: 64 },
+      shape: { type: 'string', required: true, oneOf: ['circle', 'polygon'] },
+      center: { type: 'object', maxBytes: 256 },
+      radius: { type: 'number' },
+      points: { type: 'array', maxItems: 100 }
+    }
+  },
+  'geofence-delete': {
+    fields: { roomId, geofenceId: { type: 'string', required: true, maxLength: 64 } }
+  }
+};
+
+// Check one field against its rule, returns an error message or null
+function checkField(name, value, rule) {
+  if (value === undefined || value === null) {
+    return rule.required ? `${name} is required` : null;
+  }
+
+  if (rule.type === 'array') {
+    if (!Array.isArray(value)) {
+      return `${name} must be an array`;
+    }
+    if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+      return `${name} must have at most ${rule.maxItems} items`;
+    }
+    return null;
+  }
+
+  if (rule.type === 'object') {
+    if (typeof value !== 'object' || Array.isArray(value)) {
+      return `${name} must be an object`;
+    }
+    if (rule.maxBytes && Buffer.byteLength(JSON.stringify(value)) > rule.maxBytes) {
+      return `${name} exceeds ${rule.maxBytes} bytes`;
+    }
+    return null;
+  }
+
+  if (typeof value !== rule.type) {
+    return `${name} must be a ${rule.type}`;
+  }
+  if (rule.type === 'number' && !Number.isFinite(value)) {
+    return `${name} must be a finite number`;
+  }
+  if (rule.min !== undefined && value < rule.min) {
+    return `${name} must be >= ${rule.min}`;
+  }
+  if (rule.max !== undefined && value > rule.max) {
+    return `${name} must be <= ${rule.max}`;
+  }
+  if (rule.minLength !== undefined && value.length < rule.minLength) {
+    return `${name} must be at least ${rule.minLength} characters`;
+  }
+  if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+    return `${name} must be at most ${rule.maxLength} characters`;
+  }
+  if (rule.pattern && !rule.pattern.test(value)) {
+    return `${name} has an invalid format`;
+  }
+  if (rule.oneOf && !rule.oneOf.includes(value)) {
+    return `${name} must be one of ${rule.oneOf.join(', ')}`;
+  }
+  return null;
+}
+
+// Validate an event payload
+// Returns { value } with only the declared fields, or { error, code }
+function validatePayload(event, payload) {
+  const schema = SCHEMAS[event];
+  if (!schema) {
+    return { code: 'unknown-event', error: `Unknown event: ${event}` };
+  }
+
+  const data = schema.normalize ? schema.normalize(payload) : payload;
+  if (typeof data !== 'object' || data === null || Array.isArray(data)) {
+    return { code: 'invalid-payload', error: 'Payload must be an object' };
+  }
+
+  const value = {};
+  for (const [name, rule] of Object.entries(schema.fields)) {
+    const error = checkField(name, data[name], rule);
+    if (error) {
+      return { code: 'invalid-payload', error };
+    }
+    if (data[name] !== undefined && data[name] !== null) {
+      value[name] = data[name];
+    }
+  }
+
+  return { value };
+}
+
+module.exports = { SCHEMAS, validatePayload };